@@ -5,6 +5,9 @@ const redis = require('redis');
 
 /**
  * 示例：使用自定义 LRU Map 限制缓存大小
+ *
+ * 注意: 自定义 Map 淘汰的条目不会从 keyToCacheKeys 中清理，也不计入 evictionCount。
+ * 生产环境需要容量上限时请使用内置的 maxEntries 选项。
  */
 
 // LRU Map 实现
@@ -0,0 +1,125 @@
+/**
+ * Prometheus text exposition format exporter for SimpleClientSideCache statistics
+ * 不依赖任何第三方 metrics 库，直接生成 text format 0.0.4
+ */
+
+/**
+ * Content-Type header for the Prometheus text exposition format
+ * @type {string}
+ */
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const METRIC_PREFIX_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+// 指标自身使用的标签，不能作为常量标签
+const RESERVED_LABELS = ['le', 'result'];
+const CIRCUIT_STATE_VALUES = { closed: 0, open: 1, 'half-open': 2 };
+
+/**
+ * Escape a label value (backslash, double quote and line feed)
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set, e.g. {service="api",result="success"}
+ * @param {Array<Array<string>>} pairs - [name, escaped value] pairs
+ * @returns {string} Label set, or an empty string if there are no labels
+ */
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${value}"`).join(',')}}`;
+}
+
+/**
+ * Create a function that renders a cache's statistics in Prometheus text format
+ * Counters come from stats() (all 0 unless the cache was created with enableStat), gauges from size(), keyToCacheKeys and bytes()
+ * @param {SimpleClientSideCache} cache - Cache to export
+ * @param {Object} [options={}] - Exporter options
+ * @param {string} [options.prefix='redis_csc'] - Metric name prefix
+ * @param {Object<string, string>} [options.labels={}] - Constant labels added to every sample, e.g. { service: 'api' }
+ * @returns {function(): string} Renders the current metrics, call it on every scrape
+ * @throws {TypeError} If the prefix is invalid or a label name is invalid or reserved ('le', 'result')
+ * @example
+ * const render = createPrometheusExporter(cache, { labels: { service: 'api' } });
+ * http.createServer((req, res) => {
+ *   res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+ *   res.end(render());
+ * }).listen(9100);
+ */
+function createPrometheusExporter(cache, options = {}) {
+  const prefix = options.prefix ?? 'redis_csc';
+  if (typeof prefix !== 'string' || !METRIC_PREFIX_PATTERN.test(prefix)) {
+    throw new TypeError('prefix must be a valid Prometheus metric name');
+  }
+
+  const labels = options.labels ?? {};
+  if (labels === null || typeof labels !== 'object') {
+    throw new TypeError('labels must be an object');
+  }
+  const constantLabels = Object.entries(labels).map(([name, value]) => {
+    if (!LABEL_NAME_PATTERN.test(name) || name.startsWith('__') || RESERVED_LABELS.includes(name)) {
+      throw new TypeError(`Invalid Prometheus label name: ${name}`);
+    }
+    return [name, escapeLabelValue(String(value))];
+  });
+  const withLabels = (extra = []) => formatLabels([...constantLabels, ...extra]);
+
+  return function render() {
+    const stats = cache.stats();
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+      for (const [suffix, extra, value] of samples) {
+        lines.push(`${prefix}_${name}${suffix}${withLabels(extra)} ${value}`);
+      }
+    };
+    const simple = (name, type, help, value) => metric(name, type, help, [['', [], value]]);
+
+    simple('hits_total', 'counter', 'Cache hits.', stats.hitCount);
+    simple('misses_total', 'counter', 'Cache misses.', stats.missCount);
+    metric('loads_total', 'counter', 'Loads from Redis by result.', [
+      ['', [['result', 'success']], stats.loadSuccessCount],
+      ['', [['result', 'failure']], stats.loadFailureCount]
+    ]);
+    simple('evictions_total', 'counter', 'Entries removed by invalidation, capacity limits, write-through or purges.', stats.evictionCount);
+    simple('expirations_total', 'counter', 'Entries expired by ttl.', stats.expirationCount);
+    simple('coalesced_total', 'counter', 'Misses that shared an in-flight load.', stats.coalescedCount);
+    simple('bypassed_total', 'counter', 'Calls sent straight to Redis because they are not cacheable.', stats.bypassCount);
+    simple('stale_served_total', 'counter', 'Failed loads answered with an unverified entry while reconnecting.', stats.staleServedCount);
+    simple('circuit_opens_total', 'counter', 'Times the circuit breaker opened.', stats.circuitOpenCount);
+    simple('circuit_rejected_total', 'counter', 'Misses not loaded because the circuit breaker was open.', stats.circuitRejectedCount);
+
+    simple('circuit_state', 'gauge', 'Circuit breaker state (0 = closed, 1 = open, 2 = half-open).',
+      CIRCUIT_STATE_VALUES[stats.circuitState]);
+    simple('entries', 'gauge', 'Cached entries.', cache.size());
+    simple('index_keys', 'gauge', 'Redis keys in the keyToCacheKeys reverse index.', cache.keyToCacheKeys.size);
+    simple('bytes', 'gauge', 'Estimated size of cached entries in bytes.', cache.bytes());
+    simple('compressed_bytes', 'gauge', 'Size of compressed entries after compression in bytes.', stats.compressedBytes);
+    simple('uncompressed_bytes', 'gauge', 'Size of compressed entries before compression in bytes.', stats.uncompressedBytes);
+
+    // stats() 的桶是非累计的毫秒计数，Prometheus 需要累计的秒
+    const { buckets, counts } = stats.loadTimeHistogram;
+    let cumulative = 0;
+    const bucketSamples = buckets.map((bound, i) => {
+      cumulative += counts[i];
+      return ['_bucket', [['le', String(bound / 1000)]], cumulative];
+    });
+    cumulative += counts[buckets.length];
+    metric('load_duration_seconds', 'histogram', 'Time spent loading from Redis.', [
+      ...bucketSamples,
+      ['_bucket', [['le', '+Inf']], cumulative],
+      ['_sum', [], stats.totalLoadTime / 1000],
+      ['_count', [], cumulative]
+    ]);
+
+    return `${lines.join('\n')}\n`;
+  };
+}
+
+module.exports = { createPrometheusExporter, PROMETHEUS_CONTENT_TYPE };
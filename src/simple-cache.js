@@ -1,6 +1,10 @@
 #!/usr/bin/env node
 
+const { AsyncLocalStorage } = require('node:async_hooks');
+const v8 = require('node:v8');
+const zlib = require('node:zlib');
 const { ClientSideCacheProvider } = require('@redis/client/dist/lib/client/cache');
+const { ErrorReply } = require('@redis/client/dist/lib/errors');
 
 /**
  * Generate a unique cache key from Redis command arguments
@@ -19,12 +23,574 @@ function generateCacheKey(redisArgs) {
   return tmp.join('_');
 }
 
+/**
+ * Decode the command arguments of a cache key generated by generateCacheKey()
+ * Arguments are sliced by their recorded lengths, so Buffer arguments with multi-byte characters may not decode exactly
+ * @param {string} cacheKey - Cache key
+ * @returns {string[]} Command arguments, command name first
+ * @example
+ * parseCacheKey('3_6_GET_user:1') // ['GET', 'user:1']
+ */
+function parseCacheKey(cacheKey) {
+  const parts = cacheKey.split('_');
+  // 长度部分都是纯数字，紧跟的第一个参数是命令名，不会是纯数字
+  let count = 0;
+  while (count < parts.length && /^\d+$/.test(parts[count])) {
+    count++;
+  }
+
+  const args = new Array(count);
+  let offset = parts.slice(0, count).join('_').length + 1;
+  for (let i = 0; i < count; i++) {
+    const length = Number(parts[i]);
+    args[i] = cacheKey.slice(offset, offset + length);
+    offset += length + 1;
+  }
+  return args;
+}
+
+/**
+ * Supported CLIENT TRACKING modes
+ * @type {string[]}
+ */
+const TRACKING_MODES = ['default', 'bcast', 'optin', 'optout'];
+
+/**
+ * Commands that modify keys, the only commands writeThrough acts on
+ * Scripts and functions are included because their keys are among their arguments
+ * @type {Set<string>}
+ */
+const WRITE_COMMANDS = new Set([
+  // string
+  'SET', 'SETNX', 'SETEX', 'PSETEX', 'MSET', 'MSETNX', 'APPEND', 'SETRANGE', 'GETSET', 'GETDEL', 'GETEX',
+  'INCR', 'INCRBY', 'INCRBYFLOAT', 'DECR', 'DECRBY',
+  // generic
+  'DEL', 'UNLINK', 'EXPIRE', 'PEXPIRE', 'EXPIREAT', 'PEXPIREAT', 'PERSIST', 'RENAME', 'RENAMENX',
+  'MOVE', 'COPY', 'RESTORE', 'MIGRATE', 'SORT',
+  // hash
+  'HSET', 'HSETNX', 'HMSET', 'HDEL', 'HINCRBY', 'HINCRBYFLOAT', 'HGETDEL', 'HGETEX', 'HSETEX',
+  'HEXPIRE', 'HPEXPIRE', 'HEXPIREAT', 'HPEXPIREAT', 'HPERSIST',
+  // list
+  'LPUSH', 'RPUSH', 'LPUSHX', 'RPUSHX', 'LPOP', 'RPOP', 'LSET', 'LINSERT', 'LREM', 'LTRIM',
+  'RPOPLPUSH', 'LMOVE', 'LMPOP', 'BLPOP', 'BRPOP', 'BRPOPLPUSH', 'BLMOVE', 'BLMPOP',
+  // set
+  'SADD', 'SREM', 'SPOP', 'SMOVE', 'SINTERSTORE', 'SUNIONSTORE', 'SDIFFSTORE',
+  // sorted set
+  'ZADD', 'ZINCRBY', 'ZREM', 'ZREMRANGEBYRANK', 'ZREMRANGEBYSCORE', 'ZREMRANGEBYLEX', 'ZPOPMIN', 'ZPOPMAX',
+  'BZPOPMIN', 'BZPOPMAX', 'ZMPOP', 'BZMPOP', 'ZUNIONSTORE', 'ZINTERSTORE', 'ZDIFFSTORE', 'ZRANGESTORE',
+  // stream
+  'XADD', 'XDEL', 'XTRIM', 'XACK', 'XCLAIM', 'XAUTOCLAIM', 'XGROUP', 'XSETID', 'XREADGROUP',
+  // bitmap, hyperloglog, geo
+  'SETBIT', 'BITOP', 'BITFIELD', 'PFADD', 'PFMERGE', 'GEOADD', 'GEORADIUS', 'GEORADIUSBYMEMBER', 'GEOSEARCHSTORE',
+  // scripting
+  'EVAL', 'EVALSHA', 'FCALL'
+]);
+
+/**
+ * Validate tracking options and fill in defaults
+ * @param {Object} [tracking={}] - Tracking options
+ * @param {string} [tracking.mode='default'] - Tracking mode
+ * @param {string[]} [tracking.prefixes=[]] - Key prefixes to track in bcast mode
+ * @param {boolean} [tracking.noLoop=false] - Don't receive invalidations for this connection's own writes
+ * @returns {{mode: string, prefixes: string[], noLoop: boolean}} Normalized tracking options
+ * @throws {TypeError} If the mode is unknown or prefixes are invalid
+ */
+function normalizeTracking(tracking = {}) {
+  const mode = tracking.mode ?? 'default';
+  if (!TRACKING_MODES.includes(mode)) {
+    throw new TypeError(`tracking.mode must be one of: ${TRACKING_MODES.join(', ')}`);
+  }
+
+  const prefixes = tracking.prefixes ?? [];
+  if (!Array.isArray(prefixes) || !prefixes.every((prefix) => typeof prefix === 'string')) {
+    throw new TypeError('tracking.prefixes must be an array of strings');
+  }
+  if (prefixes.length > 0 && mode !== 'bcast') {
+    throw new TypeError('tracking.prefixes is only supported in bcast mode');
+  }
+
+  const noLoop = tracking.noLoop ?? false;
+  if (typeof noLoop !== 'boolean') {
+    throw new TypeError('tracking.noLoop must be a boolean');
+  }
+
+  return { mode, prefixes: [...prefixes], noLoop };
+}
+
+/**
+ * Validate command allow/deny lists
+ * @param {Object} [commands={}] - Command filter options
+ * @param {string[]} [commands.allow=[]] - Commands that may be cached (empty = all)
+ * @param {string[]} [commands.deny=[]] - Commands that are never cached
+ * @returns {{allow: Set<string>, deny: Set<string>}} Upper-cased command sets
+ * @throws {TypeError} If a list is not an array of strings
+ */
+function normalizeCommands(commands = {}) {
+  const lists = {};
+  for (const name of ['allow', 'deny']) {
+    const list = commands[name] ?? [];
+    if (!Array.isArray(list) || !list.every((command) => typeof command === 'string')) {
+      throw new TypeError(`commands.${name} must be an array of strings`);
+    }
+    lists[name] = new Set(list.map((command) => command.toUpperCase()));
+  }
+  return lists;
+}
+
+/**
+ * Translate the inside of a glob [...] set into a RegExp character class body
+ * @param {string} set - Characters between the brackets, without a leading ^
+ * @returns {string} Character class body with ranges kept and special characters escaped
+ * @example
+ * compileCharClass('a-c_') // "a-c_"
+ * compileCharClass('z-a')  // "a-z"
+ */
+function compileCharClass(set) {
+  const escape = (char) => char.replace(/[\\^[\]-]/, '\\$&');
+  let source = '';
+  for (let i = 0; i < set.length; i++) {
+    let start = set[i];
+    if (start === '\\' && i + 1 < set.length) {
+      start = set[++i];
+    }
+    if (set[i + 1] !== '-' || i + 2 >= set.length) {
+      source += escape(start);
+      continue;
+    }
+    i += 2;
+    let end = set[i];
+    if (end === '\\' && i + 1 < set.length) {
+      end = set[++i];
+    }
+    // Redis 接受反向范围 [z-a]，RegExp 会抛出 SyntaxError，交换两端
+    if (start > end) {
+      [start, end] = [end, start];
+    }
+    source += `${escape(start)}-${escape(end)}`;
+  }
+  return source;
+}
+
+/**
+ * Compile a Redis-style glob pattern (*, ?, [abc], [^a], [a-z], \\x) into a matcher
+ * @param {string} pattern - Glob pattern, e.g. "user:profile:*"
+ * @returns {function(string): boolean} Matcher for Redis key strings
+ * @example
+ * compileKeyPattern('config:*')('config:app') // true
+ * compileKeyPattern('user:?')('user:10')      // false
+ */
+function compileKeyPattern(pattern) {
+  // 最常见的 "prefix*" 走 startsWith，避免正则开销
+  const prefix = pattern.slice(0, -1);
+  if (pattern.endsWith('*') && !/[*?[\\]/.test(prefix)) {
+    return (key) => key.startsWith(prefix);
+  }
+
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escape(pattern[++i]);
+    } else if (char === '[' && pattern.indexOf(']', i + 1) !== -1) {
+      const end = pattern.indexOf(']', i + 1);
+      let set = pattern.slice(i + 1, end);
+      const negate = set.startsWith('^');
+      if (negate) {
+        set = set.slice(1);
+      }
+      source += `[${negate ? '^' : ''}${compileCharClass(set)}]`;
+      i = end;
+    } else {
+      source += escape(char);
+    }
+  }
+  const regex = new RegExp(`^${source}$`);
+  return (key) => regex.test(key);
+}
+
+/**
+ * Build a key filter from include/exclude glob patterns
+ * @param {Object} [keyFilter={}] - Key filter options
+ * @param {string[]} [keyFilter.include=[]] - Keys must match one of these patterns (empty = every key)
+ * @param {string[]} [keyFilter.exclude=[]] - Keys must match none of these patterns
+ * @returns {function(string): boolean|null} Filter returning whether a key may be cached, or null if no patterns
+ * @throws {TypeError} If a list is not an array of strings
+ */
+function createKeyFilter(keyFilter = {}) {
+  const matchers = {};
+  for (const name of ['include', 'exclude']) {
+    const list = keyFilter[name] ?? [];
+    if (!Array.isArray(list) || !list.every((pattern) => typeof pattern === 'string')) {
+      throw new TypeError(`keyFilter.${name} must be an array of strings`);
+    }
+    matchers[name] = list.map(compileKeyPattern);
+  }
+
+  const { include, exclude } = matchers;
+  if (include.length === 0 && exclude.length === 0) {
+    return null;
+  }
+  return (key) =>
+    (include.length === 0 || include.some((match) => match(key))) &&
+    !exclude.some((match) => match(key));
+}
+
+/**
+ * Supported entry storage modes
+ * @type {string[]}
+ */
+const STORAGE_MODES = ['object', 'serialized'];
+
+/**
+ * Built-in reply clone modes
+ * @type {string[]}
+ */
+const CLONE_MODES = ['structured', 'none', 'freeze'];
+
+/**
+ * Deep-freeze a reply in place so it can be shared by every caller
+ * Arrays, plain objects, Maps and Sets are frozen recursively; Buffers cannot be frozen and are left as is
+ * @param {*} value - Reply value
+ * @returns {*} The same value, frozen
+ */
+function deepFreeze(value) {
+  if (value === null || typeof value !== 'object' || ArrayBuffer.isView(value) || Object.isFrozen(value)) {
+    return value;
+  }
+
+  Object.freeze(value);
+  if (value instanceof Map) {
+    for (const [key, item] of value) {
+      deepFreeze(key);
+      deepFreeze(item);
+    }
+  } else {
+    // 数组、Set 和普通对象
+    for (const item of value instanceof Set ? value : Object.values(value)) {
+      deepFreeze(item);
+    }
+  }
+  return value;
+}
+
+/**
+ * Resolve the clone option into the function that copies a reply for each caller
+ * @param {string|Function} [clone='structured'] - Clone mode or custom clone function
+ * @returns {function(*): *} Function returning the reply handed to a caller
+ * @throws {TypeError} If the mode is unknown
+ */
+function createCloneReply(clone = 'structured') {
+  if (typeof clone === 'function') {
+    return clone;
+  }
+  if (!CLONE_MODES.includes(clone)) {
+    throw new TypeError(`clone must be a function or one of: ${CLONE_MODES.join(', ')}`);
+  }
+  // none/freeze 零拷贝: 所有调用者拿到同一个对象
+  return clone === 'structured' ? structuredClone : (value) => value;
+}
+
+/**
+ * Compress/decompress functions for each supported algorithm
+ * @type {Object<string, Array<Function>>}
+ */
+const COMPRESSION_CODECS = {
+  gzip: [zlib.gzipSync, zlib.gunzipSync],
+  deflate: [zlib.deflateSync, zlib.inflateSync],
+  brotli: [zlib.brotliCompressSync, zlib.brotliDecompressSync]
+};
+
+/**
+ * Validate compression options and fill in defaults
+ * @param {Object} [compression] - Compression options, omit to disable compression
+ * @param {number} compression.threshold - Compress replies whose size is at least this many bytes
+ * @param {string} [compression.algorithm='gzip'] - 'gzip', 'deflate' or 'brotli'
+ * @returns {{threshold: number, algorithm: string}|null} Normalized options, or null if disabled
+ * @throws {TypeError} If the threshold or algorithm is invalid
+ */
+function normalizeCompression(compression) {
+  if (compression === undefined) {
+    return null;
+  }
+
+  const { threshold } = compression;
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new TypeError('compression.threshold must be a non-negative integer');
+  }
+  const algorithm = compression.algorithm ?? 'gzip';
+  if (!Object.hasOwn(COMPRESSION_CODECS, algorithm)) {
+    throw new TypeError(`compression.algorithm must be one of: ${Object.keys(COMPRESSION_CODECS).join(', ')}`);
+  }
+  return { threshold, algorithm };
+}
+
+/**
+ * Validate circuit breaker options and fill in defaults
+ * @param {Object} [circuitBreaker] - Circuit breaker options, omit to disable the breaker
+ * @param {number} [circuitBreaker.threshold=5] - Consecutive load failures that open the circuit (error replies don't count)
+ * @param {number} [circuitBreaker.cooldown=10000] - Milliseconds the circuit stays open before a single trial load is let through
+ * @returns {{threshold: number, cooldown: number}|null} Normalized options, or null if disabled
+ * @throws {TypeError} If the threshold or cooldown is invalid
+ */
+function normalizeCircuitBreaker(circuitBreaker) {
+  if (circuitBreaker === undefined) {
+    return null;
+  }
+  if (circuitBreaker === null || typeof circuitBreaker !== 'object') {
+    throw new TypeError('circuitBreaker must be an object');
+  }
+
+  const threshold = circuitBreaker.threshold ?? 5;
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    throw new TypeError('circuitBreaker.threshold must be a positive integer');
+  }
+  const cooldown = circuitBreaker.cooldown ?? 10000;
+  if (typeof cooldown !== 'number' || !(cooldown >= 0)) {
+    throw new TypeError('circuitBreaker.cooldown must be a non-negative number');
+  }
+  return { threshold, cooldown };
+}
+
+/**
+ * Error thrown by handleCache() when the circuit breaker is open and there is no local value to answer with
+ */
+class CircuitOpenError extends Error {
+  constructor() {
+    super('Circuit breaker is open, loads from Redis are suspended');
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * A compressed v8-serialized reply stored in place of the reply itself
+ * Its own class so it can't be confused with a Buffer reply
+ * @private
+ */
+class CompressedReply {
+  /**
+   * @param {Buffer} data - Compressed bytes
+   * @param {number} rawBytes - Serialized size before compression
+   */
+  constructor(data, rawBytes) {
+    this.data = data;
+    this.rawBytes = rawBytes;
+  }
+}
+
+/**
+ * Fixed per-entry overhead: entry object, Map slot and reverse index Set membership
+ * @type {number}
+ */
+const ENTRY_OVERHEAD_BYTES = 64;
+
+/**
+ * Entries checked for ttl expiry from the least recently used end each time an entry is stored
+ * @type {number}
+ */
+const TTL_SWEEP_LIMIT = 8;
+
+/**
+ * Roughly estimate the heap size of a reply
+ * Covers every reply type node-redis produces: strings, numbers, Buffers, arrays, objects, RESP3 Maps and Sets
+ * @param {*} value - Reply value
+ * @returns {number} Estimated size in bytes
+ * @example
+ * estimateSize('abc')        // 22
+ * estimateSize(['a', 'b'])   // 16 + 2 * (8 + 18)
+ */
+function estimateSize(value) {
+  // 粗略估算: 字符串按 UTF-16 计算，对象头 16 字节，指针 8 字节
+  if (typeof value === 'string') {
+    return 16 + value.length * 2;
+  }
+  if (value === null || typeof value !== 'object') {
+    return 8;
+  }
+  if (ArrayBuffer.isView(value)) {
+    return 64 + value.byteLength;
+  }
+
+  let size = 16;
+  if (Array.isArray(value) || value instanceof Set) {
+    for (const item of value) {
+      size += 8 + estimateSize(item);
+    }
+  } else if (value instanceof Map) {
+    for (const [key, item] of value) {
+      size += 16 + estimateSize(key) + estimateSize(item);
+    }
+  } else {
+    for (const key of Object.keys(value)) {
+      size += 16 + estimateSize(key) + estimateSize(value[key]);
+    }
+  }
+  return size;
+}
+
+/**
+ * Group that collects breakdown counters once a dimension reaches maxGroups
+ * @type {string}
+ */
+const OTHER_GROUP = '__other__';
+
+/**
+ * Validate statistics breakdown options and fill in defaults
+ * @param {Object} [statBreakdown] - Breakdown options, omit to disable the breakdown
+ * @param {boolean} [statBreakdown.commands=false] - Break counters down by command name
+ * @param {function(string): ?string} [statBreakdown.keyPrefix] - Map the first Redis key of a command to its group, e.g. 'user'
+ * @param {number} [statBreakdown.maxGroups=100] - Maximum groups per dimension, further groups are merged into '__other__'
+ * @returns {{commands: boolean, keyPrefix: ?Function, maxGroups: number}|null} Normalized options, or null if disabled
+ * @throws {TypeError} If an option is invalid
+ */
+function normalizeStatBreakdown(statBreakdown) {
+  if (statBreakdown === undefined) {
+    return null;
+  }
+
+  const commands = statBreakdown.commands ?? false;
+  if (typeof commands !== 'boolean') {
+    throw new TypeError('statBreakdown.commands must be a boolean');
+  }
+  const keyPrefix = statBreakdown.keyPrefix ?? null;
+  if (keyPrefix !== null && typeof keyPrefix !== 'function') {
+    throw new TypeError('statBreakdown.keyPrefix must be a function');
+  }
+  const maxGroups = statBreakdown.maxGroups ?? 100;
+  if (!Number.isInteger(maxGroups) || maxGroups < 1) {
+    throw new TypeError('statBreakdown.maxGroups must be a positive integer');
+  }
+  return { commands, keyPrefix, maxGroups };
+}
+
+/**
+ * Upper bounds (ms) of the load time histogram buckets, loads above the last bound go to an overflow bucket
+ * @type {number[]}
+ */
+const LOAD_TIME_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Estimate a percentile from the load time histogram
+ * Interpolates linearly inside the bucket holding the rank, like Prometheus histogram_quantile()
+ * @param {number[]} counts - Per-bucket counts (LOAD_TIME_BUCKETS.length + 1, last is overflow)
+ * @param {number} max - Largest observed load time, caps the interpolation
+ * @param {number} percentile - Percentile between 0 and 1, e.g. 0.99
+ * @returns {number} Estimated load time in ms (0 if there are no loads)
+ */
+function loadTimePercentile(counts, max, percentile) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    return 0;
+  }
+
+  const rank = percentile * total;
+  let cumulative = 0;
+  for (let i = 0; i < counts.length; i++) {
+    if (counts[i] > 0 && cumulative + counts[i] >= rank) {
+      const lower = i === 0 ? 0 : LOAD_TIME_BUCKETS[i - 1];
+      // 最大值所在的桶用 max 作为上界，溢出桶也是
+      const upper = Math.min(LOAD_TIME_BUCKETS[i] ?? max, max);
+      return lower + (upper - lower) * ((rank - cumulative) / counts[i]);
+    }
+    cumulative += counts[i];
+  }
+  return max;
+}
+
+/**
+ * Estimate the reported load time percentiles from a histogram
+ * @param {number[]} counts - Per-bucket counts
+ * @param {number} max - Largest observed load time
+ * @returns {{loadTimeP50: number, loadTimeP90: number, loadTimeP99: number}} Percentiles in ms
+ */
+function loadTimePercentiles(counts, max) {
+  return {
+    loadTimeP50: loadTimePercentile(counts, max, 0.5),
+    loadTimeP90: loadTimePercentile(counts, max, 0.9),
+    loadTimeP99: loadTimePercentile(counts, max, 0.99)
+  };
+}
+
+/**
+ * Cumulative stats() fields that statsDelta() subtracts; everything else is a gauge reported as is
+ * @type {string[]}
+ */
+const COUNTER_FIELDS = [
+  'hitCount', 'missCount', 'loadSuccessCount', 'loadFailureCount', 'totalLoadTime',
+  'evictionCount', 'expirationCount', 'coalescedCount', 'bypassCount', 'staleServedCount',
+  'circuitOpenCount', 'circuitRejectedCount'
+];
+
+/**
+ * Counters kept per breakdown group
+ * @type {string[]}
+ */
+const GROUP_COUNTER_FIELDS = ['hitCount', 'missCount', 'loadSuccessCount', 'loadFailureCount', 'evictionCount'];
+
+/**
+ * Subtract breakdown groups of an earlier snapshot, groups missing from it count from zero
+ * @param {Object<string, Object>} current - Current groups
+ * @param {Object<string, Object>} [previous={}] - Earlier groups
+ * @returns {Object<string, Object>} Counter differences per group
+ */
+function subtractGroups(current, previous = {}) {
+  const delta = {};
+  for (const [name, counters] of Object.entries(current)) {
+    delta[name] = {};
+    for (const field of GROUP_COUNTER_FIELDS) {
+      delta[name][field] = counters[field] - (previous[name]?.[field] ?? 0);
+    }
+  }
+  return delta;
+}
+
+/**
+ * Create a statistics object with every counter set to zero
+ * @returns {Object} Zeroed statistics object
+ */
+function createEmptyStats() {
+  return {
+    timestamp: Date.now(),
+    hitCount: 0,
+    missCount: 0,
+    loadSuccessCount: 0,
+    loadFailureCount: 0,
+    totalLoadTime: 0,
+    maxLoadTime: 0,
+    loadTimeP50: 0,
+    loadTimeP90: 0,
+    loadTimeP99: 0,
+    loadTimeHistogram: {
+      buckets: [...LOAD_TIME_BUCKETS],
+      counts: new Array(LOAD_TIME_BUCKETS.length + 1).fill(0)
+    },
+    evictionCount: 0,
+    expirationCount: 0,
+    coalescedCount: 0,
+    bypassCount: 0,
+    staleServedCount: 0,
+    circuitState: 'closed',
+    circuitOpenCount: 0,
+    circuitRejectedCount: 0,
+    byCommand: {},
+    byPrefix: {},
+    estimatedBytes: 0,
+    compressedBytes: 0,
+    uncompressedBytes: 0,
+    compressionRatio: 0
+  };
+}
+
 /**
  * 极简客户端缓存 - 只有本地Map + GET/SET + INVALIDATE
  * 继承 ClientSideCacheProvider
  *
  * 核心数据结构:
- * - cache: Map<cacheKey, value> - 存储缓存值
+ * - cache: Map<cacheKey, {value, keys, expiresAt, size}> - 存储缓存值、依赖的 Redis key、过期时间和估算字节数
  * - keyToCacheKeys: Map<redisKey, Set<cacheKey>> - 反向索引，用于失效通知
  *
  * 为什么需要 keyToCacheKeys?
@@ -41,6 +607,11 @@ function generateCacheKey(redisArgs) {
  *
  * @extends ClientSideCacheProvider
  * @fires SimpleClientSideCache#invalidate
+ * @fires SimpleClientSideCache#hit
+ * @fires SimpleClientSideCache#miss
+ * @fires SimpleClientSideCache#store
+ * @fires SimpleClientSideCache#evict
+ * @fires SimpleClientSideCache#circuit
  * @example
  * const cache = new SimpleClientSideCache({ enableStat: true });
  * const client = redis.createClient({
@@ -55,194 +626,1507 @@ class SimpleClientSideCache extends ClientSideCacheProvider {
    * @param {boolean} [options.enableStat=false] - Enable statistics tracking
    * @param {Function} [options.CacheMapClass=Map] - Custom Map class for cache storage (must extend native Map)
    * @param {Function} [options.KeyMapClass=Map] - Custom Map class for key-to-cacheKeys mapping (must extend native Map)
+   * @param {number} [options.maxEntries=0] - Maximum number of cached entries, least-recently-used are evicted first (0 = unlimited)
+   * @param {number} [options.maxBytes=0] - Memory budget for the estimated size of cached replies plus cacheKeys, least-recently-used
+   *   entries are evicted first (0 = unlimited)
+   * @param {number} [options.ttl=0] - Maximum age of an entry in milliseconds, a safety net if invalidations are lost (0 = never expire)
+   * @param {number} [options.staleWhileReconnect=0] - Keep entries on onError() as unverified for up to this many
+   *   milliseconds: reads go to Redis and fall back to the unverified entry only if the load fails; entries are flushed when
+   *   tracking is re-established (0 = clear the cache on onError()); onClose() always clears the cache. Loads only fail while
+   *   offline with the client's disableOfflineQueue or a commandOptions.timeout, otherwise node-redis queues them
+   * @param {Object} [options.circuitBreaker] - Stop loading from Redis after consecutive failures (disabled by default); while open,
+   *   misses are answered with an unverified entry (staleWhileReconnect) or rejected with CircuitOpenError
+   * @param {number} [options.circuitBreaker.threshold=5] - Consecutive load failures that open the circuit (error replies such as WRONGTYPE don't count)
+   * @param {number} [options.circuitBreaker.cooldown=10000] - Milliseconds before a single trial load is let through (half-open)
+   * @param {Object} [options.tracking] - CLIENT TRACKING options
+   * @param {string} [options.tracking.mode='default'] - 'default' (server tracks keys per client), 'bcast' (broadcast by prefix)
+   *   'optin' (only reads wrapped in optIn() are tracked and cached) or 'optout' (reads wrapped in optOut() are not)
+   * @param {string[]} [options.tracking.prefixes=[]] - Key prefixes for bcast mode, only keys under them are cached (empty = all keys)
+   * @param {boolean} [options.tracking.noLoop=false] - Don't receive invalidations for this connection's own writes (requires writeThrough)
+   * @param {Object} [options.commands] - Which commands may be cached, evaluated before lookup and storage
+   * @param {string[]} [options.commands.allow=[]] - Only these commands are cached (empty = every command node-redis routes to the cache)
+   * @param {string[]} [options.commands.deny=[]] - These commands are never cached, e.g. SMEMBERS on huge sets
+   * @param {Object} [options.keyFilter] - Which Redis keys may be cached; multi-key commands need every key to pass
+   * @param {string[]} [options.keyFilter.include=[]] - Glob patterns a key must match, e.g. 'config:*' (empty = every key)
+   * @param {string[]} [options.keyFilter.exclude=[]] - Glob patterns a key must not match
+   * @param {boolean} [options.writeThrough=false] - Drop (or in bcast mode update) local entries when the caching client itself writes a key
+   * @param {string|Function} [options.clone='structured'] - How replies are copied for each caller: 'structured' (structuredClone on
+   *   every return), 'none' (share the cached object, callers must not mutate it), 'freeze' (deep-freeze once when loaded and share it)
+   *   or a custom function(value) returning the copy
+   * @param {string} [options.storage='object'] - 'object' keeps replies as JS objects, 'serialized' stores them as compact v8-serialized
+   *   Buffers and deserializes on every return (replaces the clone step, so it can't be combined with clone)
+   * @param {Object} [options.compression] - Store large replies compressed and decompress them on every return (disabled by default)
+   * @param {number} options.compression.threshold - Minimum reply size in bytes to compress (estimated size in 'object' storage,
+   *   serialized size in 'serialized' storage)
+   * @param {string} [options.compression.algorithm='gzip'] - 'gzip', 'deflate' or 'brotli'
+   * @param {Object} [options.statBreakdown] - Break hits, misses, loads and evictions down by command and key prefix (counted while statistics are enabled)
+   * @param {boolean} [options.statBreakdown.commands=false] - Report stats().byCommand
+   * @param {function(string): ?string} [options.statBreakdown.keyPrefix] - Extract the group of a command's first Redis key for
+   *   stats().byPrefix, e.g. (key) => key.split(':')[0]; return null/undefined to leave the command out
+   * @param {number} [options.statBreakdown.maxGroups=100] - Cardinality cap per dimension, further groups are counted as '__other__'
+   */
+  constructor(options = {}) {
+    super();
+
+    const CacheMapClass = options.CacheMapClass || Map;
+    const KeyMapClass = options.KeyMapClass || Map;
+
+    // Validate that provided classes extend Map
+    if (!(CacheMapClass.prototype instanceof Map || CacheMapClass === Map)) {
+      throw new TypeError('CacheMapClass must extend native Map');
+    }
+    if (!(KeyMapClass.prototype instanceof Map || KeyMapClass === Map)) {
+      throw new TypeError('KeyMapClass must extend native Map');
+    }
+
+    const maxEntries = options.maxEntries ?? 0;
+    if (!Number.isInteger(maxEntries) || maxEntries < 0) {
+      throw new TypeError('maxEntries must be a non-negative integer');
+    }
+    this.maxEntries = maxEntries;
+
+    const maxBytes = options.maxBytes ?? 0;
+    if (!Number.isInteger(maxBytes) || maxBytes < 0) {
+      throw new TypeError('maxBytes must be a non-negative integer');
+    }
+    this.maxBytes = maxBytes;
+    // 所有条目的估算字节数，只在 maxBytes 或统计启用时计算
+    this._totalBytes = 0;
+
+    const ttl = options.ttl ?? 0;
+    if (typeof ttl !== 'number' || !(ttl >= 0)) {
+      throw new TypeError('ttl must be a non-negative number');
+    }
+    this.ttl = ttl;
+
+    const staleWhileReconnect = options.staleWhileReconnect ?? 0;
+    if (typeof staleWhileReconnect !== 'number' || !(staleWhileReconnect >= 0)) {
+      throw new TypeError('staleWhileReconnect must be a non-negative number');
+    }
+    this.staleWhileReconnect = staleWhileReconnect;
+    // onError() 的时间: 非 0 表示条目未经确认（可能漏掉了失效通知），trackingOn() 后归零
+    this._unverifiedSince = 0;
+
+    this.circuitBreaker = normalizeCircuitBreaker(options.circuitBreaker);
+    // 熔断器状态: closed → 连续失败达到阈值 → open → 冷却结束 → half-open（只放行一次试探加载）→ closed/open
+    this._circuitState = 'closed';
+    this._consecutiveFailures = 0;
+    this._circuitOpenedAt = 0;
+
+    this.tracking = normalizeTracking(options.tracking);
+    this.commands = normalizeCommands(options.commands);
+    this._keyFilter = createKeyFilter(options.keyFilter);
+    this.writeThrough = options.writeThrough ?? false;
+    if (typeof this.writeThrough !== 'boolean') {
+      throw new TypeError('writeThrough must be a boolean');
+    }
+    if (this.tracking.noLoop && !this.writeThrough) {
+      // 没有 writeThrough 时自己写入的 key 不会再被删除，会一直返回旧值
+      throw new TypeError('tracking.noLoop requires writeThrough: true');
+    }
+    this.storage = options.storage ?? 'object';
+    if (!STORAGE_MODES.includes(this.storage)) {
+      throw new TypeError(`storage must be one of: ${STORAGE_MODES.join(', ')}`);
+    }
+    // _storeReply: 加载后转换为存储形式一次；_cloneReply: 每次返回给调用者前执行
+    if (this.storage === 'serialized') {
+      if (options.clone !== undefined) {
+        throw new TypeError("clone can't be combined with storage: 'serialized'");
+      }
+      // 反序列化本身就产生新对象，取代 clone
+      this._storeReply = v8.serialize;
+      this._cloneReply = v8.deserialize;
+    } else {
+      this._storeReply = options.clone === 'freeze' ? deepFreeze : (value) => value;
+      this._cloneReply = createCloneReply(options.clone);
+    }
+    this.compression = normalizeCompression(options.compression);
+    if (this.compression !== null) {
+      this._enableCompression(options.clone === 'freeze');
+    }
+    // 当前缓存中压缩条目的压缩后/压缩前字节数
+    this._compressedBytes = 0;
+    this._uncompressedBytes = 0;
+    // 已拦截写命令的客户端，每个客户端只包装一次 sendCommand
+    this._writeThroughClients = new WeakSet();
+    // 为 true 时 sendCommand 来自缓存自身的读，不当作写处理
+    this._reading = false;
+    // optIn()/optOut() 标记的作用域: true = 缓存，false = 不缓存
+    // 只在 optin/optout 模式下创建，AsyncLocalStorage 会给所有 Promise 带来额外开销
+    this._cachingScope = this.tracking.mode === 'optin' || this.tracking.mode === 'optout'
+      ? new AsyncLocalStorage()
+      : null;
+
+    this.cache = new CacheMapClass();
+    this.keyToCacheKeys = new KeyMapClass();
+    // 加载过的最长 Redis key（只增不减），writeThrough 据此跳过不可能是 key 的大参数
+    this._maxKeyLength = 0;
+    // 正在加载中的 cacheKey → {promise, keys, stale}，并发未命中共享同一次加载
+    this._pending = new Map();
+    // Redis key → 依赖它的加载中 cacheKey，失效时按 key 直接找到，不必扫描所有加载
+    this._pendingByKey = new Map();
+    // 计数器在第一次启用统计时创建，disableStats() 后保留
+    this._stats = null;
+    this._statBreakdown = normalizeStatBreakdown(options.statBreakdown);
+    this._breakdown = this._statBreakdown === null ? null : { byCommand: new Map(), byPrefix: new Map() };
+    // resetStats() 的调用次数和最近一次的时间: 快照记录次数，statsDelta() 据此识别重置前的快照
+    // （同一毫秒内重置和取快照时，时间戳无法区分先后）
+    this._statsResetCount = 0;
+    this._statsResetAt = 0;
+    this._initializeStatistics(Boolean(options.enableStat));
+  }
+
+  /**
+   * Wrap _storeReply/_cloneReply so replies at or above the threshold are stored compressed
+   * @private
+   * @param {boolean} freeze - Deep-freeze decompressed replies ('freeze' clone mode)
+   */
+  _enableCompression(freeze) {
+    const { threshold } = this.compression;
+    const [compress, decompress] = COMPRESSION_CODECS[this.compression.algorithm];
+    const serialized = this.storage === 'serialized';
+    const storeReply = this._storeReply;
+    const cloneReply = this._cloneReply;
+
+    this._storeReply = (value) => {
+      // object 模式用估算大小判断，小值不必先序列化一次
+      if (!serialized && estimateSize(value) < threshold) {
+        return storeReply(value);
+      }
+      const raw = serialized ? storeReply(value) : v8.serialize(value);
+      const data = raw.length >= threshold ? compress(raw) : null;
+      if (data === null || data.length >= raw.length) {
+        // 低于阈值或压缩不划算（已压缩的图片等），按原样存储
+        return serialized ? raw : storeReply(value);
+      }
+      return new CompressedReply(data, raw.length);
+    };
+
+    this._cloneReply = (stored) => {
+      if (!(stored instanceof CompressedReply)) {
+        return cloneReply(stored);
+      }
+      // 解压后反序列化本身就产生新对象，不需要再 clone
+      const value = v8.deserialize(decompress(stored.data));
+      return freeze ? deepFreeze(value) : value;
+    };
+  }
+
+  /**
+   * Initialize statistics tracking
+   * Swaps the counting closures for no-ops (or back), so disabled statistics cost nothing; existing counters are kept
+   * @private
+   * @param {boolean} enableStat - Whether to enable statistics
+   */
+  _initializeStatistics(enableStat) {
+    this._statsEnabled = enableStat;
+    if (enableStat) {
+      this._stats ??= createEmptyStats();
+      this._incHit = () => this._stats.hitCount++;
+      this._incMiss = () => this._stats.missCount++;
+      this._incLoadSuccess = () => this._stats.loadSuccessCount++;
+      this._incLoadFailure = () => this._stats.loadFailureCount++;
+      this._addLoadTime = (time) => {
+        this._stats.totalLoadTime += time;
+        this._stats.maxLoadTime = Math.max(this._stats.maxLoadTime, time);
+        // 桶数量固定且很少，线性查找即可
+        let bucket = 0;
+        while (bucket < LOAD_TIME_BUCKETS.length && time > LOAD_TIME_BUCKETS[bucket]) {
+          bucket++;
+        }
+        this._stats.loadTimeHistogram.counts[bucket]++;
+      };
+      this._incEviction = (count = 1) => this._stats.evictionCount += count;
+      this._incExpiration = () => this._stats.expirationCount++;
+      this._incCoalesced = () => this._stats.coalescedCount++;
+      this._incBypass = () => this._stats.bypassCount++;
+      this._incStaleServed = () => this._stats.staleServedCount++;
+      this._incCircuitOpen = () => this._stats.circuitOpenCount++;
+      this._incCircuitRejected = () => this._stats.circuitRejectedCount++;
+    } else {
+      this._incHit = () => {};
+      this._incMiss = () => {};
+      this._incLoadSuccess = () => {};
+      this._incLoadFailure = () => {};
+      this._addLoadTime = () => {};
+      this._incEviction = () => {};
+      this._incExpiration = () => {};
+      this._incCoalesced = () => {};
+      this._incBypass = () => {};
+      this._incStaleServed = () => {};
+      this._incCircuitOpen = () => {};
+      this._incCircuitRejected = () => {};
+    }
+
+    this._initializeBreakdown(enableStat ? this._statBreakdown : null);
+    // 字节估算只在 maxBytes 或统计启用时进行，否则条目大小记为 0
+    this._estimateEntrySize = this.maxBytes > 0 || enableStat
+      ? (cacheKey, value) => estimateSize(value) + estimateSize(cacheKey) + ENTRY_OVERHEAD_BYTES
+      : () => 0;
+    // 运行时切换统计会改变估算方式，已有条目重新计算，否则启用前存入的条目一直记为 0
+    if (this.maxBytes === 0 && this.cache.size > 0) {
+      this._totalBytes = 0;
+      for (const [cacheKey, entry] of this.cache) {
+        entry.size = this._estimateEntrySize(cacheKey, entry.value);
+        this._totalBytes += entry.size;
+      }
+    }
+  }
+
+  /**
+   * Initialize per-command / per-prefix statistics
+   * Groups are resolved once per miss and kept on the entry, so hits and evictions don't recompute them
+   * @private
+   * @param {{commands: boolean, keyPrefix: ?Function, maxGroups: number}|null} breakdown - Normalized breakdown options,
+   *   or null when the breakdown is not configured or statistics are disabled
+   */
+  _initializeBreakdown(breakdown) {
+    if (breakdown === null) {
+      this._groupsFor = () => undefined;
+      this._incGroups = () => {};
+      return;
+    }
+
+    const { commands, keyPrefix, maxGroups } = breakdown;
+    const group = (groups, name) => {
+      let counters = groups.get(name);
+      if (counters === undefined) {
+        // 基数上限: 新分组过多时统一计入 __other__，防止内存无限增长
+        const groupName = groups.size < maxGroups ? name : OTHER_GROUP;
+        counters = groups.get(groupName);
+        if (counters === undefined) {
+          counters = Object.fromEntries(GROUP_COUNTER_FIELDS.map((field) => [field, 0]));
+          groups.set(groupName, counters);
+        }
+      }
+      return counters;
+    };
+
+    this._groupsFor = (parser) => {
+      const counters = [];
+      if (commands) {
+        counters.push(group(this._breakdown.byCommand, parser.redisArgs[0].toString().toUpperCase()));
+      }
+      if (keyPrefix !== null && parser.keys.length > 0) {
+        const prefix = keyPrefix(parser.keys[0].toString());
+        if (prefix !== null && prefix !== undefined) {
+          counters.push(group(this._breakdown.byPrefix, String(prefix)));
+        }
+      }
+      return counters;
+    };
+    this._incGroups = (groups, field) => {
+      if (groups !== undefined) {
+        for (const counters of groups) {
+          counters[field]++;
+        }
+      }
+    };
+  }
+
+  /**
+   * Handle cache lookup and storage for Redis commands
+   * @param {Object} client - Redis client instance
+   * @param {Object} parser - Command parser with redisArgs and keys
+   * @param {Function} fn - Function to execute Redis command
+   * @param {Function} [transformReply] - Optional reply transformation function
+   * @param {Object} [typeMapping] - Type mapping for reply transformation
+   * @returns {Promise<*>} Cached or fresh command result
+   */
+  async handleCache(client, parser, fn, transformReply, typeMapping) {
+    if (this.writeThrough) {
+      this._watchWrites(client);
+    }
+
+    if (!this._isCacheable(parser)) {
+      return this._bypass(client, parser, fn, transformReply, typeMapping);
+    }
+
+    const cacheKey = generateCacheKey(parser.redisArgs);
+
+    if (this._unverifiedSince !== 0 && this.cache.size > 0 &&
+      Date.now() - this._unverifiedSince > this.staleWhileReconnect) {
+      // 断线时间超过允许的陈旧度，未确认的条目不再作为兜底
+      this._dropAll('stale');
+    }
+
+    let entry = this.cache.get(cacheKey);
+    if (entry !== undefined && entry.expiresAt !== 0 && entry.expiresAt <= Date.now()) {
+      // TTL 兜底: 即使没收到失效通知，过期条目也按未命中处理
+      this._deleteEntry(cacheKey);
+      this._incExpiration();
+      this._emitEvict(cacheKey, entry, 'ttl');
+      entry = undefined;
+    }
+
+    // 断线期间条目未经确认: 照常访问 Redis，加载失败时才返回旧值
+    let stale;
+    if (entry !== undefined && this._unverifiedSince !== 0) {
+      stale = entry;
+      entry = undefined;
+    }
+
+    if (entry !== undefined) {
+      if (this.maxEntries > 0 || this.maxBytes > 0) {
+        // LRU: 重新插入，把命中的条目移到 Map 末尾
+        this.cache.delete(cacheKey);
+        this.cache.set(cacheKey, entry);
+      }
+      this._incHit();
+      this._incGroups(entry.groups, 'hitCount');
+      // 生命周期事件只在有监听器时构造 payload，没有监听器时只多一次 listenerCount 查询
+      if (this.listenerCount('hit') > 0) {
+        this.emit('hit', { cacheKey, keys: [...entry.keys] });
+      }
+      return this._cloneReply(entry.value);
+    }
+
+    this._incMiss();
+    const groups = this._groupsFor(parser);
+    this._incGroups(groups, 'missCount');
+    if (this.listenerCount('miss') > 0) {
+      this.emit('miss', { cacheKey, keys: parser.keys.map((key) => key.toString()) });
+    }
+
+    // Single-flight: 同一 cacheKey 的并发未命中只调用一次 fn()
+    const pending = this._pending.get(cacheKey);
+    if (pending !== undefined) {
+      this._incCoalesced();
+      return this._cloneReply(await this._withStaleFallback(pending.promise, stale));
+    }
+
+    // 熔断期间不再向 Redis 发起新的加载: 有未确认的旧值就返回，否则立即失败，避免命令在断开的连接上堆积
+    if (this.circuitBreaker !== null && !this._allowLoad()) {
+      this._incCircuitRejected();
+      if (stale !== undefined) {
+        this._incStaleServed();
+        return this._cloneReply(stale.value);
+      }
+      throw new CircuitOpenError();
+    }
+
+    const load = {
+      promise: undefined,
+      keys: parser.keys.map((key) => key.toString()),
+      groups,
+      stale: false
+    };
+    this._noteKeyLengths(load.keys);
+    load.promise = this._load(client, cacheKey, load, parser, fn, transformReply, typeMapping);
+    this._addPending(cacheKey, load);
+    let value;
+    try {
+      value = await this._withStaleFallback(load.promise, stale);
+    } finally {
+      this._removePending(cacheKey, load);
+    }
+
+    // 共享的 reply 对每个调用者单独克隆（clone 选项决定是否真的拷贝）
+    return this._cloneReply(value);
+  }
+
+  /**
+   * Fall back to an unverified entry if a load fails (stale-while-reconnect)
+   * @private
+   * @param {Promise<*>} promise - Load promise
+   * @param {Object} [stale] - Unverified entry for the same cacheKey, if any
+   * @returns {Promise<*>} The loaded value, or the stale stored value if the load failed
+   */
+  _withStaleFallback(promise, stale) {
+    if (stale === undefined) {
+      return promise;
+    }
+    return promise.catch(() => {
+      this._incStaleServed();
+      return stale.value;
+    });
+  }
+
+  /**
+   * Check whether the circuit breaker lets a new load through, moving from open to half-open once the cooldown is over
+   * @private
+   * @returns {boolean} Whether the load may call Redis
+   */
+  _allowLoad() {
+    if (this._circuitState === 'closed') {
+      return true;
+    }
+    // half-open 时试探加载已经在进行，其余加载继续拒绝
+    if (this._circuitState === 'open' && Date.now() - this._circuitOpenedAt >= this.circuitBreaker.cooldown) {
+      this._setCircuitState('half-open');
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Feed a load result to the circuit breaker
+   * @private
+   * @param {boolean} success - Whether Redis answered, with a reply or an error reply
+   */
+  _recordLoad(success) {
+    if (success) {
+      this._consecutiveFailures = 0;
+      if (this._circuitState !== 'closed') {
+        this._setCircuitState('closed');
+      }
+      return;
+    }
+
+    this._consecutiveFailures++;
+    if (this._circuitState === 'half-open' ||
+      (this._circuitState === 'closed' && this._consecutiveFailures >= this.circuitBreaker.threshold)) {
+      this._circuitOpenedAt = Date.now();
+      this._incCircuitOpen();
+      this._setCircuitState('open');
+    }
+  }
+
+  /**
+   * Change the circuit breaker state and emit 'circuit'
+   * @private
+   * @param {string} state - 'closed', 'open' or 'half-open'
+   */
+  _setCircuitState(state) {
+    const previous = this._circuitState;
+    this._circuitState = state;
+    this.emit('circuit', { state, previous, failures: this._consecutiveFailures });
+  }
+
+  /**
+   * Check whether a command's reply may be cached
+   * @private
+   * @param {Object} parser - Command parser with redisArgs and keys
+   * @returns {boolean} Whether the reply may be cached
+   */
+  _isCacheable(parser) {
+    const { allow, deny } = this.commands;
+    if (allow.size > 0 || deny.size > 0) {
+      const command = parser.redisArgs[0].toString().toUpperCase();
+      if ((allow.size > 0 && !allow.has(command)) || deny.has(command)) {
+        return false;
+      }
+    }
+
+    if (this._cachingScope !== null) {
+      // optin 默认不缓存，optout 默认缓存，optIn()/optOut() 作用域内以标记为准
+      const marked = this._cachingScope.getStore();
+      if (!(marked ?? this.tracking.mode === 'optout')) {
+        return false;
+      }
+    }
+
+    const { prefixes } = this.tracking;
+    if (prefixes.length > 0 || this._keyFilter !== null) {
+      // MGET 等多 key 命令必须所有 key 都满足条件才缓存
+      for (const key of parser.keys) {
+        const keyStr = key.toString();
+        // BCAST 模式下 Redis 只推送前缀内 key 的失效通知，
+        // 前缀外的 key 一旦缓存就永远不会失效
+        if (prefixes.length > 0 && !prefixes.some((prefix) => keyStr.startsWith(prefix))) {
+          return false;
+        }
+        if (this._keyFilter !== null && !this._keyFilter(keyStr)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Execute the Redis command without touching the cache
+   * @private
+   * @param {Object} client - Redis client instance
+   * @param {Object} parser - Command parser with redisArgs and keys
+   * @param {Function} fn - Function to execute Redis command
+   * @param {Function} [transformReply] - Optional reply transformation function
+   * @param {Object} [typeMapping] - Type mapping for reply transformation
+   * @returns {Promise<*>} Fresh command result
+   */
+  async _bypass(client, parser, fn, transformReply, typeMapping) {
+    this._incBypass();
+    if (this.tracking.mode === 'optout') {
+      // OPTOUT: 不缓存的读也不让服务端跟踪，避免无意义的失效通知
+      this._read(() => client.sendCommand(['CLIENT', 'CACHING', 'NO'])).catch(() => {});
+    }
+    const reply = await this._read(fn);
+    return transformReply
+      ? transformReply(reply, parser.preserve, typeMapping)
+      : reply;
+  }
+
+  /**
+   * Call fn() while flagging its commands as the cache's own reads for write-through
+   * @private
+   * @param {Function} fn - Function sending a Redis command
+   * @returns {Promise<*>} Reply promise
+   */
+  _read(fn) {
+    // node-redis 的 sendCommand 同步入队，所以只需在 fn() 调用期间标记
+    this._reading = true;
+    try {
+      return fn();
+    } finally {
+      this._reading = false;
+    }
+  }
+
+  /**
+   * Wrap a client's sendCommand, and the MULTI/pipeline executors, so writes it issues drop or update local entries
+   * @private
+   * @param {Object} client - Redis client instance passed to handleCache
+   */
+  _watchWrites(client) {
+    if (this._writeThroughClients.has(client)) {
+      return;
+    }
+    this._writeThroughClients.add(client);
+
+    const cache = this;
+    const sendCommand = client.sendCommand;
+    // 包装实例方法: withTypeMapping() 等代理对象原型指向同一实例，同样会经过这里
+    client.sendCommand = function (args, options) {
+      if (cache._reading) {
+        return sendCommand.call(this, args, options);
+      }
+      const update = cache._beforeWrite(args);
+      const reply = sendCommand.call(this, args, options);
+      if (update !== null) {
+        reply.then((result) => {
+          if (result === 'OK') {
+            cache._setEntry(update.cacheKey, cache._storeReply(update.value), [update.key], update.groups);
+          }
+        }, () => {});
+      }
+      return reply;
+    };
+
+    // MULTI 和 pipeline 直接写入命令队列，不经过 sendCommand；事务里的写只删除，不更新
+    for (const method of ['_executeMulti', '_executePipeline']) {
+      const execute = client[method];
+      if (typeof execute === 'function') {
+        client[method] = function (commands, ...rest) {
+          for (const { args } of commands) {
+            cache._beforeWrite(args, false);
+          }
+          return execute.call(this, commands, ...rest);
+        };
+      }
+    }
+  }
+
+  /**
+   * Remember the longest Redis key loaded so far, every indexed or pending key is at most that long
+   * @private
+   * @param {string[]} keys - Redis keys of a load
+   */
+  _noteKeyLengths(keys) {
+    for (const key of keys) {
+      if (key.length > this._maxKeyLength) {
+        this._maxKeyLength = key.length;
+      }
+    }
+  }
+
+  /**
+   * Drop local entries for every key a write command may touch, other commands are ignored
+   * @private
+   * @param {Array<Buffer|string>} args - Redis command arguments
+   * @param {boolean} [allowUpdate=true] - Whether a plain SET may update the cached GET instead of dropping it
+   * @returns {{cacheKey: string, key: string, value: string}|null} GET entry to update once a plain SET succeeds
+   */
+  _beforeWrite(args, allowUpdate = true) {
+    // TTL、PUBLISH、绕过 handleCache 的读等命令不修改 key，参数里出现 key 名也不能删除条目
+    const command = args[0].toString().toUpperCase();
+    if (!WRITE_COMMANDS.has(command)) {
+      return null;
+    }
+
+    // 只有 BCAST 模式能直接更新已缓存的 GET: 前缀跟踪一直有效，而默认模式下
+    // 自己写入后服务端不再跟踪这个 key，更新进去的值之后不会再收到失效通知
+    let update = null;
+    if (allowUpdate && this.tracking.mode === 'bcast' && args.length === 3 && command === 'SET') {
+      const cacheKey = generateCacheKey(['GET', args[1]]);
+      const entry = this.cache.get(cacheKey);
+      if (entry !== undefined) {
+        update = { cacheKey, key: args[1].toString(), value: args[2].toString(), groups: entry.groups };
+      }
+    }
+
+    // 不解析各命令的 key 位置: 任何参数只要命中反向索引就删除，
+    // 多删只会多一次未命中，漏删在 NOLOOP 下会永远读到旧值
+    let evictedCount = 0;
+    for (let i = 1; i < args.length; i++) {
+      const arg = args[i];
+      // 比加载过的最长 key 还长的参数只可能是值，跳过以免把大 Buffer 转成字符串；
+      // UTF-8 每个字符最多 3 字节对应 1 个 UTF-16 单元（4 字节对应 2 个），Buffer 按 3 倍放宽
+      if (arg.length > (typeof arg === 'string' ? this._maxKeyLength : this._maxKeyLength * 3)) {
+        continue;
+      }
+      evictedCount += this._invalidateLocal(arg.toString(), 'write');
+    }
+    this._incEviction(evictedCount);
+
+    return update;
+  }
+
+  /**
+   * Execute the Redis command, transform the reply and store it unless it went stale meanwhile
+   * @private
+   * @param {Object} client - Redis client instance
+   * @param {string} cacheKey - Cache key generated from command arguments
+   * @param {{keys: string[], stale: boolean}} load - In-flight load record, marked stale by invalidate()
+   * @param {Object} parser - Command parser with redisArgs and keys
+   * @param {Function} fn - Function to execute Redis command
+   * @param {Function} [transformReply] - Optional reply transformation function
+   * @param {Object} [typeMapping] - Type mapping for reply transformation
+   * @returns {Promise<*>} Stored value (not cloned)
+   */
+  async _load(client, cacheKey, load, parser, fn, transformReply, typeMapping) {
+    // OPTIN: CLIENT CACHING yes 必须紧挨着读命令发送，两者同步入队保证中间不会插入其他命令
+    const caching = this.tracking.mode === 'optin'
+      ? this._read(() => client.sendCommand(['CLIENT', 'CACHING', 'YES'])).then(() => true, () => false)
+      : null;
+
+    const startTime = process.hrtime.bigint();
+    let reply;
+    try {
+      reply = await this._read(fn);
+      this._incLoadSuccess();
+      this._incGroups(load.groups, 'loadSuccessCount');
+      if (this.circuitBreaker !== null) {
+        this._recordLoad(true);
+      }
+    } catch (err) {
+      this._incLoadFailure();
+      this._incGroups(load.groups, 'loadFailureCount');
+      if (this.circuitBreaker !== null) {
+        // 错误回复（WRONGTYPE 等）说明 Redis 可用，只有连接、超时等错误计入熔断
+        this._recordLoad(err instanceof ErrorReply);
+      }
+      throw err;
+    } finally {
+      const endTime = process.hrtime.bigint();
+      const elapsed = Number(endTime - startTime) / 1e6; // Convert to ms
+      this._addLoadTime(elapsed);
+    }
+
+    // 转换为存储形式（冻结/序列化）只做一次，等待中的调用者共享结果
+    const value = this._storeReply(transformReply
+      ? transformReply(reply, parser.preserve, typeMapping)
+      : reply);
+
+    // CLIENT CACHING 失败说明这次读没有被跟踪，不会收到失效通知
+    const tracked = caching === null || await caching;
+
+    // 加载期间收到了失效通知: reply 可能早于那次写入，不能缓存，
+    // 否则之后不会再有失效通知，旧值会一直留在缓存里；
+    // 断线未恢复时跟踪状态不确定，同样不缓存
+    if (tracked && !load.stale && this._unverifiedSince === 0) {
+      this._setEntry(cacheKey, value, load.keys, load.groups);
+    }
+
+    return value;
+  }
+
+  /**
+   * Store an entry, index its Redis keys and enforce maxEntries and maxBytes
+   * @private
+   * @param {string} cacheKey - Cache key generated from command arguments
+   * @param {*} value - Value to cache
+   * @param {string[]} keys - Redis keys the value depends on
+   * @param {Object[]} [groups] - Breakdown counters the entry belongs to
+   */
+  _setEntry(cacheKey, value, keys, groups) {
+    const entry = {
+      value,
+      keys,
+      expiresAt: this.ttl > 0 ? Date.now() + this.ttl : 0,
+      size: this._estimateEntrySize(cacheKey, value),
+      groups
+    };
+    if (this.maxBytes > 0 && entry.size > this.maxBytes) {
+      // 单个条目超出整个预算，缓存它只会把其他条目全部挤掉
+      return;
+    }
+
+    const previous = this.cache.get(cacheKey);
+    if (previous !== undefined) {
+      this._totalBytes -= previous.size;
+      this._countCompressed(previous.value, -1);
+    }
+    this._totalBytes += entry.size;
+    this._countCompressed(entry.value, 1);
+
+    // 先删除再插入，保证新条目位于 Map 末尾（LRU 顺序）
+    this.cache.delete(cacheKey);
+    this.cache.set(cacheKey, entry);
+
+    // 建立反向索引: 每个 Redis key → 包含它的所有 cacheKey
+    // 这样失效通知来时能快速找到所有相关缓存条目
+    for (const key of entry.keys) {
+      let cacheKeys = this.keyToCacheKeys.get(key);
+      if (!cacheKeys) {
+        cacheKeys = new Set();
+        this.keyToCacheKeys.set(key, cacheKeys);
+      }
+      cacheKeys.add(cacheKey);
+    }
+    if (this.listenerCount('store') > 0) {
+      this.emit('store', { cacheKey, keys: [...keys], size: entry.size });
+    }
+
+    if (this.ttl > 0) {
+      this._sweepExpired();
+    }
+
+    if (this.maxEntries > 0 || this.maxBytes > 0) {
+      // Map 按插入顺序迭代，第一个就是最久未使用的条目
+      while ((this.maxEntries > 0 && this.cache.size > this.maxEntries) ||
+        (this.maxBytes > 0 && this._totalBytes > this.maxBytes)) {
+        const oldestKey = this.cache.keys().next().value;
+        const oldest = this._deleteEntry(oldestKey);
+        this._incGroups(oldest.groups, 'evictionCount');
+        this._emitEvict(oldestKey, oldest, 'capacity');
+        this._incEviction();
+      }
+    }
+  }
+
+  /**
+   * Remove expired entries among the least recently used ones, so keys that are never read again don't stay forever
+   * @private
+   * @fires SimpleClientSideCache#evict
+   */
+  _sweepExpired() {
+    // 只检查 LRU 头部的少量条目，写入开销有上限；过期条目不再被读取，会一直留在头部直到被清理
+    const now = Date.now();
+    const expired = [];
+    let checked = 0;
+    for (const [cacheKey, entry] of this.cache) {
+      if (checked++ === TTL_SWEEP_LIMIT) {
+        break;
+      }
+      if (entry.expiresAt <= now) {
+        expired.push([cacheKey, entry]);
+      }
+    }
+    for (const [cacheKey, entry] of expired) {
+      this._deleteEntry(cacheKey);
+      this._incExpiration();
+      this._emitEvict(cacheKey, entry, 'ttl');
+    }
+  }
+
+  /**
+   * Register an in-flight load so concurrent misses and invalidations can find it
+   * @private
+   * @param {string} cacheKey - Cache key being loaded
+   * @param {{keys: string[]}} load - In-flight load record
+   */
+  _addPending(cacheKey, load) {
+    this._pending.set(cacheKey, load);
+    for (const key of load.keys) {
+      let cacheKeys = this._pendingByKey.get(key);
+      if (!cacheKeys) {
+        cacheKeys = new Set();
+        this._pendingByKey.set(key, cacheKeys);
+      }
+      cacheKeys.add(cacheKey);
+    }
+  }
+
+  /**
+   * Unregister an in-flight load, unless a newer load for the same cacheKey has replaced it
+   * @private
+   * @param {string} cacheKey - Cache key being loaded
+   * @param {{keys: string[]}} load - In-flight load record
    */
-  constructor(options = {}) {
-    super();
+  _removePending(cacheKey, load) {
+    if (this._pending.get(cacheKey) !== load) {
+      return;
+    }
+    this._pending.delete(cacheKey);
+    for (const key of load.keys) {
+      const cacheKeys = this._pendingByKey.get(key);
+      if (cacheKeys) {
+        cacheKeys.delete(cacheKey);
+        if (cacheKeys.size === 0) {
+          this._pendingByKey.delete(key);
+        }
+      }
+    }
+  }
 
-    const CacheMapClass = options.CacheMapClass || Map;
-    const KeyMapClass = options.KeyMapClass || Map;
+  /**
+   * Mark in-flight loads as stale so their replies are returned but not cached
+   * @private
+   * @param {string|null} keyStr - Invalidated Redis key, or null to discard every in-flight load
+   */
+  _discardPending(keyStr) {
+    if (keyStr === null) {
+      for (const load of this._pending.values()) {
+        load.stale = true;
+      }
+      this._pending.clear();
+      this._pendingByKey.clear();
+      return;
+    }
 
-    // Validate that provided classes extend Map
-    if (!(CacheMapClass.prototype instanceof Map || CacheMapClass === Map)) {
-      throw new TypeError('CacheMapClass must extend native Map');
+    const cacheKeys = this._pendingByKey.get(keyStr);
+    if (!cacheKeys) {
+      return;
     }
-    if (!(KeyMapClass.prototype instanceof Map || KeyMapClass === Map)) {
-      throw new TypeError('KeyMapClass must extend native Map');
+    // 先复制: _removePending 会修改这个 Set
+    for (const cacheKey of [...cacheKeys]) {
+      const load = this._pending.get(cacheKey);
+      load.stale = true;
+      // 之后的未命中会重新加载，而不是等待这个已过期的请求
+      this._removePending(cacheKey, load);
     }
+  }
 
-    this.cache = new CacheMapClass();
-    this.keyToCacheKeys = new KeyMapClass();
-    this._initializeStatistics(options.enableStat);
+  /**
+   * Add or subtract a stored value's compressed/uncompressed sizes
+   * @private
+   * @param {*} value - Stored value
+   * @param {number} sign - 1 when stored, -1 when removed
+   */
+  _countCompressed(value, sign) {
+    if (value instanceof CompressedReply) {
+      this._compressedBytes += sign * value.data.length;
+      this._uncompressedBytes += sign * value.rawBytes;
+    }
   }
 
   /**
-   * Initialize statistics tracking
+   * Emit an evict event if anyone listens
    * @private
-   * @param {boolean} enableStat - Whether to enable statistics
+   * @param {string} cacheKey - Removed cacheKey
+   * @param {Object} entry - Removed entry
+   * @param {string} reason - Why the entry was removed, see SimpleClientSideCache#evict
    */
-  _initializeStatistics(enableStat) {
-    if (enableStat) {
-      this._stats = {
-        hitCount: 0,
-        missCount: 0,
-        loadSuccessCount: 0,
-        loadFailureCount: 0,
-        totalLoadTime: 0,
-        evictionCount: 0
-      };
-      this._incHit = () => this._stats.hitCount++;
-      this._incMiss = () => this._stats.missCount++;
-      this._incLoadSuccess = () => this._stats.loadSuccessCount++;
-      this._incLoadFailure = () => this._stats.loadFailureCount++;
-      this._addLoadTime = (time) => this._stats.totalLoadTime += time;
-      this._incEviction = (count = 1) => this._stats.evictionCount += count;
-    } else {
-      this._incHit = () => {};
-      this._incMiss = () => {};
-      this._incLoadSuccess = () => {};
-      this._incLoadFailure = () => {};
-      this._addLoadTime = () => {};
-      this._incEviction = () => {};
+  _emitEvict(cacheKey, entry, reason) {
+    if (this.listenerCount('evict') > 0) {
+      this.emit('evict', { cacheKey, keys: [...entry.keys], reason });
     }
   }
 
   /**
-   * Handle cache lookup and storage for Redis commands
-   * @param {Object} client - Redis client instance
-   * @param {Object} parser - Command parser with redisArgs and keys
-   * @param {Function} fn - Function to execute Redis command
-   * @param {Function} [transformReply] - Optional reply transformation function
-   * @param {Object} [typeMapping] - Type mapping for reply transformation
-   * @returns {Promise<*>} Cached or fresh command result
+   * Remove an entry and its cacheKey from every keyToCacheKeys Set it belongs to
+   * @private
+   * @param {string} cacheKey - Cache key to remove
+   * @returns {Object|undefined} The removed entry, or undefined if there was none
    */
-  async handleCache(client, parser, fn, transformReply, typeMapping) {
+  _deleteEntry(cacheKey) {
+    const entry = this.cache.get(cacheKey);
+    if (entry === undefined) {
+      return undefined;
+    }
+
+    this.cache.delete(cacheKey);
+    this._totalBytes -= entry.size;
+    this._countCompressed(entry.value, -1);
+    // MGET 等多 key 条目会出现在多个 Set 中，必须全部清理，否则反向索引泄漏
+    for (const key of entry.keys) {
+      const cacheKeys = this.keyToCacheKeys.get(key);
+      if (cacheKeys) {
+        cacheKeys.delete(cacheKey);
+        if (cacheKeys.size === 0) {
+          this.keyToCacheKeys.delete(key);
+        }
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Preload keys through tracked reads, so the entries are indexed in keyToCacheKeys and invalidated like normal reads
+   * Each key is stored as its GET entry. Keys that are already cached, being loaded or not cacheable are skipped, and no new
+   * reads start once maxEntries or maxBytes is reached, so warming doesn't evict entries it just loaded. Reads are opted in
+   * (optin/optout modes) and go through the circuit breaker.
+   * @param {Object} client - Redis client created with this cache as clientSideCache
+   * @param {Array<string|Buffer>} keys - Redis keys to load
+   * @param {Object} [options={}] - Warmup options
+   * @param {number} [options.concurrency=10] - Maximum GETs or MGET batches in flight
+   * @param {number} [options.batchSize=1] - Keys per MGET sent with client.sendCommand(), counted as one load in stats();
+   *   1 sends every key through client.get(). MGET replies are stored without the client's typeMapping
+   * @param {function({total: number, loaded: number, skipped: number, failed: number}): void} [options.onProgress] - Called
+   *   after every GET or MGET batch with the running totals
+   * @param {AbortSignal} [options.signal] - Stop starting new reads; warm() rejects with signal.reason once in-flight reads settle
+   * @returns {Promise<{total: number, loaded: number, skipped: number, failed: number}>} Number of keys read from Redis,
+   *   skipped and failed (failed reads don't reject warm())
+   * @throws {TypeError} If keys or an option is invalid
+   * @example
+   * const result = await cache.warm(client, hotKeys, {
+   *   concurrency: 4,
+   *   batchSize: 100,
+   *   onProgress: ({ total, loaded, skipped, failed }) => console.log(`${loaded + skipped + failed}/${total}`),
+   *   signal: AbortSignal.timeout(60000)
+   * });
+   */
+  async warm(client, keys, options = {}) {
+    if (!Array.isArray(keys)) {
+      throw new TypeError('keys must be an array');
+    }
+    const concurrency = options.concurrency ?? 10;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new TypeError('concurrency must be a positive integer');
+    }
+    const batchSize = options.batchSize ?? 1;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new TypeError('batchSize must be a positive integer');
+    }
+    const { onProgress, signal } = options;
+    if (onProgress !== undefined && typeof onProgress !== 'function') {
+      throw new TypeError('onProgress must be a function');
+    }
+    signal?.throwIfAborted();
+
+    const progress = { total: keys.length, loaded: 0, skipped: 0, failed: 0 };
+    let next = 0;
+    const worker = async () => {
+      // 每个 worker 依次领取下一批，最多 concurrency 批同时进行
+      while (next < keys.length && !signal?.aborted) {
+        const batch = keys.slice(next, next + batchSize);
+        next += batch.length;
+
+        const pending = this._isFull() ? [] : batch.filter((key) => this._needsWarming(key));
+        progress.skipped += batch.length - pending.length;
+        if (pending.length > 0) {
+          try {
+            if (batchSize === 1) {
+              await client.get(pending[0]);
+            } else {
+              await this._loadBatch(client, pending);
+            }
+            progress.loaded += pending.length;
+          } catch {
+            progress.failed += pending.length;
+          }
+        }
+        onProgress?.({ ...progress });
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < concurrency; i++) {
+      // optin/optout 模式下预热的读都标记为缓存
+      workers.push(this._cachingScope === null ? worker() : this._cachingScope.run(true, worker));
+    }
+    await Promise.all(workers);
+
+    signal?.throwIfAborted();
+    return progress;
+  }
+
+  /**
+   * Check whether maxEntries or maxBytes is reached
+   * @private
+   * @returns {boolean} Whether the cache is full
+   */
+  _isFull() {
+    return (this.maxEntries > 0 && this.cache.size >= this.maxEntries) ||
+      (this.maxBytes > 0 && this._totalBytes >= this.maxBytes);
+  }
+
+  /**
+   * Check whether warm() should read a key: cacheable, not cached (or only unverified) and not being loaded
+   * @private
+   * @param {string|Buffer} key - Redis key
+   * @returns {boolean} Whether the key should be read
+   */
+  _needsWarming(key) {
+    const parser = { redisArgs: ['GET', key], keys: [key] };
     const cacheKey = generateCacheKey(parser.redisArgs);
+    return this._isCacheable(parser) &&
+      !this._pending.has(cacheKey) &&
+      (!this.cache.has(cacheKey) || this._unverifiedSince !== 0);
+  }
 
-    if (this.cache.has(cacheKey)) {
-      this._incHit();
-      return structuredClone(this.cache.get(cacheKey));
+  /**
+   * Load keys with one MGET and store each reply as the GET entry of its key
+   * The per-key loads are registered as pending, so concurrent GET misses share them and invalidations during the MGET
+   * keep the affected replies out of the cache
+   * @private
+   * @param {Object} client - Redis client instance
+   * @param {Array<string|Buffer>} keys - Keys that are cacheable and not being loaded
+   * @returns {Promise<void>} Rejects if the MGET fails or the circuit breaker is open
+   */
+  async _loadBatch(client, keys) {
+    if (this.circuitBreaker !== null && !this._allowLoad()) {
+      this._incCircuitRejected();
+      throw new CircuitOpenError();
+    }
+    if (this.writeThrough) {
+      this._watchWrites(client);
     }
 
-    this._incMiss();
+    const caching = this.tracking.mode === 'optin'
+      ? this._read(() => client.sendCommand(['CLIENT', 'CACHING', 'YES'])).then(() => true, () => false)
+      : null;
 
     const startTime = process.hrtime.bigint();
-    let reply;
+    // 存储形式只转换一次，同时作为并发 GET 未命中共享的结果
+    const values = this._read(() => client.sendCommand(['MGET', ...keys]))
+      .then((replies) => replies.map((reply) => this._storeReply(reply)));
+    const loads = keys.map((key, i) => {
+      const parser = { redisArgs: ['GET', key], keys: [key] };
+      const cacheKey = generateCacheKey(parser.redisArgs);
+      const load = {
+        promise: values.then((stored) => stored[i]),
+        keys: [key.toString()],
+        groups: this._groupsFor(parser),
+        stale: false
+      };
+      // 没有并发未命中等待这个 promise 时，避免 MGET 失败变成 unhandledRejection
+      load.promise.catch(() => {});
+      this._noteKeyLengths(load.keys);
+      this._addPending(cacheKey, load);
+      return [cacheKey, load];
+    });
+
+    let stored;
     try {
-      reply = await fn();
+      stored = await values;
       this._incLoadSuccess();
+      if (this.circuitBreaker !== null) {
+        this._recordLoad(true);
+      }
     } catch (err) {
       this._incLoadFailure();
+      if (this.circuitBreaker !== null) {
+        this._recordLoad(err instanceof ErrorReply);
+      }
       throw err;
     } finally {
-      const endTime = process.hrtime.bigint();
-      const elapsed = Number(endTime - startTime) / 1e6; // Convert to ms
-      this._addLoadTime(elapsed);
+      this._addLoadTime(Number(process.hrtime.bigint() - startTime) / 1e6);
+      for (const [cacheKey, load] of loads) {
+        this._removePending(cacheKey, load);
+      }
     }
 
-    let value = transformReply
-      ? transformReply(reply, parser.preserve, typeMapping)
-      : reply;
-
-    this.cache.set(cacheKey, value);
-
-    // 建立反向索引: 每个 Redis key → 包含它的所有 cacheKey
-    // 这样失效通知来时能快速找到所有相关缓存条目
-    for (const key of parser.keys) {
-      const keyStr = key.toString();
-      if (!this.keyToCacheKeys.has(keyStr)) {
-        this.keyToCacheKeys.set(keyStr, new Set());
+    const tracked = caching === null || await caching;
+    if (!tracked || this._unverifiedSince !== 0) {
+      return;
+    }
+    loads.forEach(([cacheKey, load], i) => {
+      if (!load.stale) {
+        this._setEntry(cacheKey, stored[i], load.keys, load.groups);
       }
-      this.keyToCacheKeys.get(keyStr).add(cacheKey);
+    });
+  }
+
+  /**
+   * Run a function whose cacheable reads are tracked and cached in optin mode
+   * @param {Function} fn - Function issuing Redis reads, e.g. () => client.get('config:app')
+   * @returns {*} Return value of fn
+   * @throws {Error} If tracking.mode is not 'optin'
+   * @example
+   * const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+   * const config = await cache.optIn(() => client.get('config:app')); // tracked and cached
+   * const other = await client.get('user:1');                         // not tracked, not cached
+   */
+  optIn(fn) {
+    if (this.tracking.mode !== 'optin') {
+      throw new Error('optIn() requires tracking.mode "optin"');
     }
+    return this._cachingScope.run(true, fn);
+  }
 
-    return structuredClone(value);
+  /**
+   * Run a function whose reads are neither tracked nor cached in optout mode
+   * @param {Function} fn - Function issuing Redis reads, e.g. () => client.get('ratelimit:1')
+   * @returns {*} Return value of fn
+   * @throws {Error} If tracking.mode is not 'optout'
+   * @example
+   * const cache = new SimpleClientSideCache({ tracking: { mode: 'optout' } });
+   * const hits = await cache.optOut(() => client.get('counter:hits')); // CLIENT CACHING no, not cached
+   * const user = await client.get('user:1');                          // tracked and cached
+   */
+  optOut(fn) {
+    if (this.tracking.mode !== 'optout') {
+      throw new Error('optOut() requires tracking.mode "optout"');
+    }
+    return this._cachingScope.run(false, fn);
   }
 
   /**
    * Return the command to enable client tracking
    * @returns {string[]} Redis command array
+   * @example
+   * // { tracking: { mode: 'bcast', prefixes: ['user:', 'config:'] } }
+   * cache.trackingOn() // ['CLIENT', 'TRACKING', 'ON', 'BCAST', 'PREFIX', 'user:', 'PREFIX', 'config:']
    */
   trackingOn() {
-    return ['CLIENT', 'TRACKING', 'ON'];
+    // node-redis 每次（重新）连接握手时调用: 断线期间可能漏掉了失效通知，未确认的条目全部清除
+    if (this._unverifiedSince !== 0) {
+      this._dropAll('reconnect');
+      this._unverifiedSince = 0;
+    }
+
+    const command = ['CLIENT', 'TRACKING', 'ON'];
+    if (this.tracking.mode === 'bcast') {
+      command.push('BCAST');
+      for (const prefix of this.tracking.prefixes) {
+        command.push('PREFIX', prefix);
+      }
+    } else if (this.tracking.mode === 'optin') {
+      command.push('OPTIN');
+    } else if (this.tracking.mode === 'optout') {
+      command.push('OPTOUT');
+    }
+    if (this.tracking.noLoop) {
+      command.push('NOLOOP');
+    }
+    return command;
   }
 
   /**
    * Handle cache invalidation notifications from Redis
    * @param {Buffer|null} key - Redis key to invalidate, or null for global flush
    * @fires SimpleClientSideCache#invalidate
+   * @fires SimpleClientSideCache#evict
    */
   invalidate(key) {
     if (key === null) {
       // 全局失效 (FLUSHDB 等)
-      const evictedCount = this.cache.size;
-      this.cache.clear();
-      this.keyToCacheKeys.clear();
-      this._incEviction(evictedCount);
+      if (this._statsEnabled && this._breakdown !== null) {
+        for (const entry of this.cache.values()) {
+          this._incGroups(entry.groups, 'evictionCount');
+        }
+      }
+      this._incEviction(this._dropAll('flush'));
       this.emit('invalidate', key);
       return;
     }
 
-    const keyStr = key.toString();
+    this._incEviction(this._invalidateLocal(key.toString(), 'invalidation'));
+    this.emit('invalidate', key);
+  }
+
+  /**
+   * Remove every entry depending on a Redis key and discard its in-flight loads
+   * @private
+   * @param {string} keyStr - Redis key
+   * @param {string} reason - Evict reason for 'evict' listeners
+   * @returns {number} Number of entries removed
+   */
+  _invalidateLocal(keyStr, reason) {
+    if (this._pending.size > 0) {
+      this._discardPending(keyStr);
+    }
+
     const cacheKeys = this.keyToCacheKeys.get(keyStr);
+    if (!cacheKeys) {
+      return 0;
+    }
 
-    if (cacheKeys) {
-      // 删除所有包含此 Redis key 的缓存条目
-      // 例如: 'user:1' 失效会删除 GET('user:1') 和 MGET(['user:1','user:2']) 的缓存
-      const evictedCount = cacheKeys.size;
-      for (const cacheKey of cacheKeys) {
-        this.cache.delete(cacheKey);
+    // 删除所有包含此 Redis key 的缓存条目
+    // 例如: 'user:1' 失效会删除 GET('user:1') 和 MGET(['user:1','user:2']) 的缓存
+    let evictedCount = 0;
+    for (const cacheKey of cacheKeys) {
+      const entry = this._deleteEntry(cacheKey);
+      if (entry !== undefined) {
+        this._incGroups(entry.groups, 'evictionCount');
+        this._emitEvict(cacheKey, entry, reason);
+        evictedCount++;
       }
-      this.keyToCacheKeys.delete(keyStr);
-      this._incEviction(evictedCount);
     }
+    this.keyToCacheKeys.delete(keyStr);
+    return evictedCount;
+  }
 
-    this.emit('invalidate', key);
+  /**
+   * Reset byte counters after every entry has been dropped
+   * @private
+   */
+  _resetBytes() {
+    this._totalBytes = 0;
+    this._compressedBytes = 0;
+    this._uncompressedBytes = 0;
   }
 
   /**
-   * Clear all cached entries
+   * Drop every entry and discard in-flight loads
+   * @private
+   * @param {string} reason - Evict reason for 'evict' listeners
+   * @returns {number} Number of entries dropped
    */
-  clear() {
+  _dropAll(reason) {
+    const dropped = this.listenerCount('evict') > 0 ? [...this.cache] : null;
+    const droppedCount = this.cache.size;
+
     this.cache.clear();
     this.keyToCacheKeys.clear();
+    this._resetBytes();
+    this._discardPending(null);
+
+    // 状态清理完再通知，监听器里读到的是清空后的缓存
+    if (dropped !== null) {
+      for (const [cacheKey, entry] of dropped) {
+        this._emitEvict(cacheKey, entry, reason);
+      }
+    }
+    return droppedCount;
+  }
+
+  /**
+   * Clear all cached entries, in-flight loads finish without being cached
+   * @fires SimpleClientSideCache#evict
+   */
+  clear() {
+    this._dropAll('clear');
+  }
+
+  /**
+   * Drop local entries depending on a Redis key, e.g. after it was changed out of band
+   * Unlike invalidate() it doesn't emit 'invalidate'; removed entries count as evictions with reason 'purge'
+   * @param {string|Buffer} redisKey - Redis key
+   * @returns {number} Number of entries removed
+   * @fires SimpleClientSideCache#evict
+   */
+  purgeKey(redisKey) {
+    const count = this._invalidateLocal(redisKey.toString(), 'purge');
+    this._incEviction(count);
+    return count;
+  }
+
+  /**
+   * Drop local entries depending on any Redis key under a prefix
+   * Scans the keyToCacheKeys index (one item per Redis key), not the entries
+   * @param {string} prefix - Key prefix, e.g. 'user:'
+   * @returns {number} Number of entries removed
+   * @throws {TypeError} If prefix is not a string
+   * @fires SimpleClientSideCache#evict
+   */
+  purgePrefix(prefix) {
+    if (typeof prefix !== 'string') {
+      throw new TypeError('prefix must be a string');
+    }
+    return this._purgeMatching((keyStr) => keyStr.startsWith(prefix));
+  }
+
+  /**
+   * Drop local entries depending on any Redis key matching a glob pattern (same syntax as keyFilter)
+   * Scans the keyToCacheKeys index (one item per Redis key), not the entries
+   * @param {string} pattern - Redis-style glob pattern, e.g. 'user:*:profile'
+   * @returns {number} Number of entries removed
+   * @throws {TypeError} If pattern is not a string
+   * @fires SimpleClientSideCache#evict
+   */
+  purgePattern(pattern) {
+    if (typeof pattern !== 'string') {
+      throw new TypeError('pattern must be a string');
+    }
+    return this._purgeMatching(compileKeyPattern(pattern));
+  }
+
+  /**
+   * Purge every indexed Redis key accepted by a matcher and discard matching in-flight loads
+   * @private
+   * @param {function(string): boolean} matches - Redis key matcher
+   * @returns {number} Number of entries removed
+   */
+  _purgeMatching(matches) {
+    // 加载中的 key 还没进入索引，单独标记，避免迁移前的旧值在 purge 之后写入缓存
+    for (const keyStr of [...this._pendingByKey.keys()]) {
+      if (matches(keyStr)) {
+        this._discardPending(keyStr);
+      }
+    }
+
+    // 先收集再删除: _invalidateLocal 会修改 keyToCacheKeys
+    const keys = [];
+    for (const keyStr of this.keyToCacheKeys.keys()) {
+      if (matches(keyStr)) {
+        keys.push(keyStr);
+      }
+    }
+    let count = 0;
+    for (const keyStr of keys) {
+      count += this._invalidateLocal(keyStr, 'purge');
+    }
+    this._incEviction(count);
+    return count;
+  }
+
+  /**
+   * Copy one breakdown dimension into a plain object
+   * @private
+   * @param {string} dimension - 'byCommand' or 'byPrefix'
+   * @returns {Object<string, Object>} Counters per group
+   */
+  _breakdownSnapshot(dimension) {
+    const snapshot = {};
+    if (this._breakdown !== null) {
+      for (const [name, counters] of this._breakdown[dimension]) {
+        snapshot[name] = { ...counters };
+      }
+    }
+    return snapshot;
   }
 
   /**
    * Get cache statistics
+   * Counters are cumulative since construction or the last resetStats(), pass the result to statsDelta() later for per-interval values
    * @returns {Object} Statistics object
+   * @property {number} timestamp - When the snapshot was taken (ms since epoch)
+   * @property {number} resetCount - Number of resetStats() calls before the snapshot, statsDelta() uses it to spot a reset in between
    * @property {number} hitCount - Number of cache hits
    * @property {number} missCount - Number of cache misses
    * @property {number} loadSuccessCount - Number of successful loads from Redis
    * @property {number} loadFailureCount - Number of failed loads from Redis
    * @property {number} totalLoadTime - Total time spent loading from Redis (ms)
+   * @property {number} maxLoadTime - Slowest load from Redis (ms)
+   * @property {number} loadTimeP50 - Median load time (ms), estimated from loadTimeHistogram
+   * @property {number} loadTimeP90 - 90th percentile load time (ms)
+   * @property {number} loadTimeP99 - 99th percentile load time (ms)
+   * @property {{buckets: number[], counts: number[]}} loadTimeHistogram - Load counts per bucket; counts[i] are loads
+   *   taking at most buckets[i] ms (and more than the previous bound), the extra last count holds slower loads
    * @property {number} evictionCount - Number of cache entries evicted
+   * @property {number} expirationCount - Number of cache entries expired by ttl (not included in evictionCount)
+   * @property {number} coalescedCount - Number of misses that shared an in-flight load instead of calling Redis
+   * @property {number} bypassCount - Number of calls sent straight to Redis because the command or keys are not cacheable
+   * @property {number} staleServedCount - Number of failed or circuit-rejected loads answered with an unverified entry (staleWhileReconnect)
+   * @property {string} circuitState - Circuit breaker state: 'closed', 'open' or 'half-open' (reported even while statistics are disabled)
+   * @property {number} circuitOpenCount - Number of times the circuit breaker opened
+   * @property {number} circuitRejectedCount - Number of misses not loaded because the circuit breaker was open
+   * @property {Object<string, Object>} byCommand - hitCount/missCount/loadSuccessCount/loadFailureCount/evictionCount per command
+   *   (empty unless statBreakdown.commands is set)
+   * @property {Object<string, Object>} byPrefix - Same counters per statBreakdown.keyPrefix group, by the command's first key
+   * @property {number} estimatedBytes - Current estimated size of all entries in bytes (gauge, see bytes())
+   * @property {number} compressedBytes - Current compressed size of compressed entries in bytes (gauge)
+   * @property {number} uncompressedBytes - Serialized size of the same entries before compression (gauge)
+   * @property {number} compressionRatio - uncompressedBytes / compressedBytes (0 when nothing is compressed)
    */
   stats() {
     if (this._stats) {
-      return { ...this._stats };
-    }
-    return {
-      hitCount: 0,
-      missCount: 0,
-      loadSuccessCount: 0,
-      loadFailureCount: 0,
-      totalLoadTime: 0,
-      evictionCount: 0
-    };
+      const { counts } = this._stats.loadTimeHistogram;
+      return {
+        ...this._stats,
+        timestamp: Date.now(),
+        resetCount: this._statsResetCount,
+        ...loadTimePercentiles(counts, this._stats.maxLoadTime),
+        loadTimeHistogram: { buckets: [...LOAD_TIME_BUCKETS], counts: [...counts] },
+        byCommand: this._breakdownSnapshot('byCommand'),
+        byPrefix: this._breakdownSnapshot('byPrefix'),
+        estimatedBytes: this._totalBytes,
+        compressedBytes: this._compressedBytes,
+        uncompressedBytes: this._uncompressedBytes,
+        compressionRatio: this._compressedBytes > 0 ? this._uncompressedBytes / this._compressedBytes : 0,
+        circuitState: this._circuitState
+      };
+    }
+    return { ...createEmptyStats(), resetCount: this._statsResetCount, circuitState: this._circuitState };
+  }
+
+  /**
+   * Get the change in statistics since an earlier stats() snapshot
+   * Counters, the load time histogram and breakdown groups are subtracted, percentiles are recomputed for the interval;
+   * gauges (estimatedBytes, compressedBytes, ...) and maxLoadTime are current values
+   * @param {Object} previous - Snapshot returned by an earlier stats() call
+   * @param {Object} [current=this.stats()] - Later snapshot, pass it to reuse the same snapshot as the next interval's start
+   * @returns {Object} Same shape as stats() plus interval (ms covered by the delta)
+   * @throws {TypeError} If previous is not a stats() snapshot
+   * @example
+   * let last = cache.stats();
+   * setInterval(() => {
+   *   const current = cache.stats();
+   *   const delta = cache.statsDelta(last, current);
+   *   last = current;
+   *   console.log('hits/s:', delta.hitCount / (delta.interval / 1000));
+   * }, 60000);
+   */
+  statsDelta(previous, current = this.stats()) {
+    if (previous === null || typeof previous !== 'object' || typeof previous.timestamp !== 'number' ||
+      typeof previous.resetCount !== 'number') {
+      throw new TypeError('previous must be a snapshot returned by stats()');
+    }
+    // 两个快照之间调用过 resetStats(): 计数器已归零，差值从重置时刻算起
+    const reset = previous.resetCount !== current.resetCount;
+    const base = reset ? createEmptyStats() : previous;
+    const since = reset ? this._statsResetAt : previous.timestamp;
+
+    const delta = { ...current, interval: current.timestamp - since };
+    for (const field of COUNTER_FIELDS) {
+      delta[field] = current[field] - base[field];
+    }
+    const counts = current.loadTimeHistogram.counts.map((count, i) => count - base.loadTimeHistogram.counts[i]);
+    delta.loadTimeHistogram = { buckets: current.loadTimeHistogram.buckets, counts };
+    Object.assign(delta, loadTimePercentiles(counts, current.maxLoadTime));
+    delta.byCommand = subtractGroups(current.byCommand, base.byCommand);
+    delta.byPrefix = subtractGroups(current.byPrefix, base.byPrefix);
+    return delta;
   }
 
   /**
-   * Handle Redis client errors by clearing cache
+   * Start collecting statistics at runtime, e.g. during an incident
+   * Counters kept from an earlier enabled period continue from where they stopped, call resetStats() to start from zero;
+   * entries already cached are sized once so bytes() covers them
+   */
+  enableStats() {
+    if (!this._statsEnabled) {
+      this._initializeStatistics(true);
+    }
+  }
+
+  /**
+   * Stop collecting statistics and go back to the no-op closures
+   * stats() keeps reporting the counters as they were when disabled
+   */
+  disableStats() {
+    if (this._statsEnabled) {
+      this._initializeStatistics(false);
+    }
+  }
+
+  /**
+   * Reset every statistics counter to zero; cached entries and byte gauges are not affected
+   */
+  resetStats() {
+    if (this._stats) {
+      this._stats = createEmptyStats();
+    }
+    if (this._breakdown !== null) {
+      // 条目持有分组计数器的引用，原地清零而不是替换对象
+      for (const groups of [this._breakdown.byCommand, this._breakdown.byPrefix]) {
+        for (const counters of groups.values()) {
+          for (const field of GROUP_COUNTER_FIELDS) {
+            counters[field] = 0;
+          }
+        }
+      }
+    }
+    this._statsResetCount++;
+    this._statsResetAt = Date.now();
+  }
+
+  /**
+   * Handle Redis client errors by clearing cache, or with staleWhileReconnect mark every entry as unverified
+   * until tracking is re-established
    */
   onError() {
-    this.clear();
+    if (this.staleWhileReconnect === 0) {
+      this._dropAll('error');
+      return;
+    }
+    // 多次报错只记录第一次，陈旧度从最早的断线时间算起
+    if (this._unverifiedSince === 0) {
+      this._unverifiedSince = Date.now();
+    }
+    // 正在进行的加载可能收不到失效通知，结果不能缓存
+    this._discardPending(null);
   }
 
   /**
-   * Handle Redis client closure by clearing cache
+   * Handle Redis client closure by clearing cache, also with staleWhileReconnect
    */
   onClose() {
-    this.clear();
+    // node-redis 只在主动 close()/destroy() 时调用，之后不会自动重连，旧值不再有兜底的意义
+    this._dropAll('close');
+    this._unverifiedSince = 0;
   }
 
   /**
@@ -252,6 +2136,98 @@ class SimpleClientSideCache extends ClientSideCacheProvider {
   size() {
     return this.cache.size;
   }
+
+  /**
+   * Get the estimated memory used by cached entries
+   * Only tracked when maxBytes is set or statistics are enabled, otherwise 0
+   * @returns {number} Estimated size of all entries in bytes
+   */
+  bytes() {
+    return this._totalBytes;
+  }
+
+  /**
+   * Get an entry that hasn't expired by ttl, without touching LRU order, statistics or events
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @returns {Object|undefined} Entry, or undefined if missing or expired
+   */
+  _liveEntry(cacheKey) {
+    const entry = this.cache.get(cacheKey);
+    if (entry === undefined || (entry.expiresAt !== 0 && entry.expiresAt <= Date.now())) {
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Get a cached reply for inspection: no LRU touch, no statistics, no events and no ttl expiry
+   * The reply is copied like a hit (clone/storage options), so changing it doesn't change the cache; unverified entries
+   * (staleWhileReconnect) are returned too
+   * @param {string} cacheKey - Cache key from cacheKeysFor() or entries()
+   * @returns {*} Cached reply, or undefined if there is no live entry
+   */
+  peek(cacheKey) {
+    const entry = this._liveEntry(cacheKey);
+    return entry === undefined ? undefined : this._cloneReply(entry.value);
+  }
+
+  /**
+   * Check whether a command would be answered from the cache, without touching LRU order, statistics or events
+   * @param {string} command - Command name, e.g. 'GET' (case-insensitive)
+   * @param {...(string|Buffer)} args - Command arguments as sent to Redis
+   * @returns {boolean} Whether a live, verified entry exists
+   * @example
+   * cache.has('GET', 'user:1')
+   * cache.has('HGET', 'user:1', 'name')
+   */
+  has(command, ...args) {
+    const cacheKey = generateCacheKey([command.toUpperCase(), ...args]);
+    return this._liveEntry(cacheKey) !== undefined && this._unverifiedSince === 0;
+  }
+
+  /**
+   * Get the cache keys of every entry that depends on a Redis key, from the keyToCacheKeys reverse index
+   * @param {string|Buffer} redisKey - Redis key
+   * @returns {string[]} Cache keys (a copy, empty if nothing depends on the key)
+   */
+  cacheKeysFor(redisKey) {
+    const cacheKeys = this.keyToCacheKeys.get(redisKey.toString());
+    return cacheKeys === undefined ? [] : [...cacheKeys];
+  }
+
+  /**
+   * Iterate over live entries without their values (use peek() to read one)
+   * @param {string|Buffer} [redisKey] - Only entries that depend on this Redis key
+   * @yields {{cacheKey: string, command: string, args: string[], keys: string[], size: number, expiresAt: number,
+   *   unverified: boolean}} Entry description; args are decoded from the cacheKey, expiresAt is 0 without ttl
+   * @example
+   * // 'user:1' 被哪些命令缓存了？
+   * for (const { command, args } of cache.entries('user:1')) {
+   *   console.log(command, args); // GET ['user:1'], MGET ['user:1', 'user:2']
+   * }
+   */
+  *entries(redisKey) {
+    // 遍历全部条目时直接迭代 Map，不调用 get()（自定义 LRU Map 的 get() 可能调整顺序）
+    const source = redisKey === undefined
+      ? this.cache.entries()
+      : this.cacheKeysFor(redisKey).map((cacheKey) => [cacheKey, this.cache.get(cacheKey)]);
+    const now = Date.now();
+    for (const [cacheKey, entry] of source) {
+      if (entry !== undefined && (entry.expiresAt === 0 || entry.expiresAt > now)) {
+        const [command, ...args] = parseCacheKey(cacheKey);
+        yield {
+          cacheKey,
+          command,
+          args,
+          keys: [...entry.keys],
+          size: entry.size,
+          expiresAt: entry.expiresAt,
+          unverified: this._unverifiedSince !== 0
+        };
+      }
+    }
+  }
 }
 
 /**
@@ -262,4 +2238,44 @@ class SimpleClientSideCache extends ClientSideCacheProvider {
  * The key is a Buffer for specific key invalidations, or null for global flush.
  */
 
-module.exports = { SimpleClientSideCache };
+/**
+ * Hit event, only emitted while it has listeners
+ * @event SimpleClientSideCache#hit
+ * @type {{cacheKey: string, keys: string[]}}
+ * @description Emitted when a reply is served from the cache.
+ */
+
+/**
+ * Miss event, only emitted while it has listeners
+ * @event SimpleClientSideCache#miss
+ * @type {{cacheKey: string, keys: string[]}}
+ * @description Emitted when a cacheable command is not in the cache (including misses that join an in-flight load).
+ */
+
+/**
+ * Store event, only emitted while it has listeners
+ * @event SimpleClientSideCache#store
+ * @type {{cacheKey: string, keys: string[], size: number}}
+ * @description Emitted when a reply is stored; size is the estimated entry size (0 unless maxBytes or stats are enabled).
+ */
+
+/**
+ * Evict event, only emitted while it has listeners
+ * @event SimpleClientSideCache#evict
+ * @type {{cacheKey: string, keys: string[], reason: string}}
+ * @description Emitted for every entry removed from the cache. reason is one of:
+ * 'invalidation' (Redis invalidated a key), 'flush' (global invalidation), 'capacity' (maxEntries/maxBytes),
+ * 'ttl' (expired), 'write' (writeThrough), 'clear' (clear()), 'error' (onError()), 'close' (onClose()),
+ * 'stale' (unverified longer than staleWhileReconnect), 'reconnect' (unverified entries flushed by trackingOn())
+ * or 'purge' (purgeKey(), purgePrefix() or purgePattern()).
+ */
+
+/**
+ * Circuit event
+ * @event SimpleClientSideCache#circuit
+ * @type {{state: string, previous: string, failures: number}}
+ * @description Emitted when the circuit breaker changes state ('closed', 'open' or 'half-open');
+ * failures is the number of consecutive load failures at that moment.
+ */
+
+module.exports = { SimpleClientSideCache, CircuitOpenError };
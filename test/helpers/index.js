@@ -0,0 +1,55 @@
+// 测试共用的替身和工具函数，放在子目录中，不会被 node --test test/*.js 当作测试文件执行
+
+/**
+ * 模拟 node-redis 的 CommandParser，只保留 handleCache 用到的字段
+ * @param {string} command - Command name, e.g. 'GET'
+ * @param {...string} keys - Redis keys, which are also the only arguments
+ * @returns {{redisArgs: string[], keys: string[], preserve: undefined}} Parser stub
+ */
+function createParser(command, ...keys) {
+  return { redisArgs: [command, ...keys], keys, preserve: undefined };
+}
+
+/**
+ * 同 createParser()，用于 key 之后还有其他参数的命令，例如 HGET key field
+ * @param {string} command - Command name, e.g. 'HGET'
+ * @param {string[]} keys - Redis keys
+ * @param {...string} args - Arguments following the keys
+ * @returns {{redisArgs: string[], keys: string[], preserve: undefined}} Parser stub
+ */
+function createParserWithArgs(command, keys, ...args) {
+  return { redisArgs: [command, ...keys, ...args], keys, preserve: undefined };
+}
+
+/**
+ * 手动控制 resolve/reject 时机的 fn()
+ * @returns {{calls: number, fn: Function, resolve?: Function, reject?: Function}} fn() records its calls and
+ *   exposes resolve/reject of the latest call
+ */
+function createDeferredFn() {
+  const deferred = { calls: 0 };
+  deferred.fn = () => {
+    deferred.calls++;
+    return new Promise((resolve, reject) => {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    });
+  };
+  return deferred;
+}
+
+/**
+ * 等待指定毫秒数
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after ms milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createParser,
+  createParserWithArgs,
+  createDeferredFn,
+  sleep
+};
@@ -0,0 +1,173 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { ErrorReply } = require('@redis/client/dist/lib/errors');
+const { SimpleClientSideCache, CircuitOpenError } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+// 统计 fn() 调用次数的加载函数
+function createLoader(result) {
+  const loader = async () => {
+    loader.calls++;
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+// 连续触发 n 次加载失败
+async function failLoads(cache, n) {
+  for (let i = 0; i < n; i++) {
+    await assert.rejects(
+      cache.handleCache(null, createParser('GET', `cb:fail:${i}`), createLoader(new Error('ECONNREFUSED'))),
+      /ECONNREFUSED/
+    );
+  }
+}
+
+describe('Circuit Breaker Tests', () => {
+  test('rejects invalid circuitBreaker options', () => {
+    assert.throws(() => new SimpleClientSideCache({ circuitBreaker: true }), TypeError);
+    assert.throws(() => new SimpleClientSideCache({ circuitBreaker: { threshold: 0 } }), TypeError);
+    assert.throws(() => new SimpleClientSideCache({ circuitBreaker: { threshold: 1.5 } }), TypeError);
+    assert.throws(() => new SimpleClientSideCache({ circuitBreaker: { cooldown: -1 } }), TypeError);
+
+    assert.deepStrictEqual(new SimpleClientSideCache({ circuitBreaker: {} }).circuitBreaker, { threshold: 5, cooldown: 10000 });
+    assert.strictEqual(new SimpleClientSideCache().circuitBreaker, null);
+  });
+
+  test('opens after consecutive failures and fails fast', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 3, cooldown: 1000 }, enableStat: true });
+
+    await failLoads(cache, 3);
+    assert.strictEqual(cache.stats().circuitState, 'open');
+
+    const loader = createLoader('v');
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'cb:1'), loader), CircuitOpenError);
+    assert.strictEqual(loader.calls, 0, 'Open circuit should not call Redis');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.loadFailureCount, 3);
+    assert.strictEqual(stats.circuitOpenCount, 1);
+    assert.strictEqual(stats.circuitRejectedCount, 1);
+  });
+
+  test('a success resets the consecutive failure count', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 2 } });
+
+    await failLoads(cache, 1);
+    await cache.handleCache(null, createParser('GET', 'cb:2'), createLoader('v'));
+    await failLoads(cache, 1);
+
+    assert.strictEqual(cache.stats().circuitState, 'closed');
+  });
+
+  test('error replies do not count as failures', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 2 }, enableStat: true });
+
+    await failLoads(cache, 1);
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(
+        cache.handleCache(null, createParser('GET', `cb:hash:${i}`), createLoader(new ErrorReply('WRONGTYPE Operation against a key holding the wrong kind of value'))),
+        ErrorReply
+      );
+    }
+    await failLoads(cache, 1);
+
+    assert.strictEqual(cache.stats().circuitState, 'closed', 'An error reply should reset the failure count');
+    assert.strictEqual(cache.stats().loadFailureCount, 5);
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'cb:ok'), createLoader('v')), 'v');
+  });
+
+  test('hits are served while the circuit is open', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 1 } });
+    await cache.handleCache(null, createParser('GET', 'cb:3'), createLoader('cached'));
+    await failLoads(cache, 1);
+
+    const value = await cache.handleCache(null, createParser('GET', 'cb:3'), createLoader('fresh'));
+    assert.strictEqual(value, 'cached');
+  });
+
+  test('answers with unverified entries while open', async () => {
+    const cache = new SimpleClientSideCache({
+      circuitBreaker: { threshold: 1 },
+      staleWhileReconnect: 1000,
+      enableStat: true
+    });
+    await cache.handleCache(null, createParser('GET', 'cb:4'), createLoader('old'));
+    cache.onError();
+
+    // 第一次失败返回旧值并打开熔断，之后不再访问 Redis
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'cb:4'), createLoader(new Error('down'))), 'old');
+    const loader = createLoader('fresh');
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'cb:4'), loader), 'old');
+    assert.strictEqual(loader.calls, 0);
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.staleServedCount, 2);
+    assert.strictEqual(stats.circuitRejectedCount, 1);
+  });
+
+  test('half-open lets one trial load through after the cooldown', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 1, cooldown: 20 } });
+    const states = [];
+    cache.on('circuit', (event) => states.push(event));
+
+    await failLoads(cache, 1);
+    await sleep(30);
+
+    // 试探加载进行中，其他未命中仍然被拒绝
+    const trial = cache.handleCache(null, createParser('GET', 'cb:5'), async () => {
+      await sleep(10);
+      return 'v';
+    });
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'cb:6'), createLoader('v')), CircuitOpenError);
+    assert.strictEqual(await trial, 'v');
+
+    assert.deepStrictEqual(states, [
+      { state: 'open', previous: 'closed', failures: 1 },
+      { state: 'half-open', previous: 'open', failures: 1 },
+      { state: 'closed', previous: 'half-open', failures: 0 }
+    ]);
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'cb:6'), createLoader('v')), 'v');
+  });
+
+  test('a failed trial load reopens the circuit', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 2, cooldown: 20 }, enableStat: true });
+    await failLoads(cache, 2);
+    await sleep(30);
+
+    await failLoads(cache, 1);
+
+    assert.strictEqual(cache.stats().circuitState, 'open');
+    assert.strictEqual(cache.stats().circuitOpenCount, 2);
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'cb:7'), createLoader('v')), CircuitOpenError);
+  });
+
+  test('coalesced misses join the trial load instead of being rejected', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 1, cooldown: 0 } });
+    await failLoads(cache, 1);
+
+    const loader = async () => {
+      await sleep(10);
+      return 'v';
+    };
+    const results = await Promise.all([
+      cache.handleCache(null, createParser('GET', 'cb:8'), loader),
+      cache.handleCache(null, createParser('GET', 'cb:8'), loader)
+    ]);
+
+    assert.deepStrictEqual(results, ['v', 'v']);
+  });
+
+  test('circuitState is reported while statistics are disabled', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 1 } });
+    await failLoads(cache, 1);
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.circuitState, 'open');
+    assert.strictEqual(stats.circuitOpenCount, 0);
+  });
+});
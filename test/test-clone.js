@@ -0,0 +1,84 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+function read(cache, reply) {
+  return cache.handleCache(null, createParser('HGETALL', 'clone:1'), async () => reply);
+}
+
+describe('Clone Strategy Tests', () => {
+  test('structured clone is the default', async () => {
+    const cache = new SimpleClientSideCache();
+
+    const first = await read(cache, { name: 'alice' });
+    first.name = 'mutated';
+    const second = await read(cache);
+
+    assert.strictEqual(second.name, 'alice', 'Mutating a reply should not affect the cache');
+    assert.notStrictEqual(first, second, 'Each caller should get its own copy');
+  });
+
+  test("'none' returns the cached object on every hit", async () => {
+    const cache = new SimpleClientSideCache({ clone: 'none' });
+    const reply = { name: 'alice' };
+
+    const first = await read(cache, reply);
+    const second = await read(cache);
+
+    assert.strictEqual(first, reply, 'Loader should get the reply itself');
+    assert.strictEqual(second, reply, 'Hit should return the cached object');
+    assert.ok(!Object.isFrozen(second), "'none' should not freeze replies");
+  });
+
+  test("'freeze' deep-freezes once and shares the object", async () => {
+    const cache = new SimpleClientSideCache({ clone: 'freeze' });
+    const reply = {
+      list: ['a', { nested: 'b' }],
+      map: new Map([['k', ['v']]]),
+      set: new Set([{ item: 1 }]),
+      buffer: Buffer.from('raw')
+    };
+
+    const first = await read(cache, reply);
+    const second = await read(cache);
+
+    assert.strictEqual(first, second, 'Callers should share the frozen object');
+    assert.ok(Object.isFrozen(first), 'Reply should be frozen');
+    assert.ok(Object.isFrozen(first.list[1]), 'Nested objects should be frozen');
+    assert.ok(Object.isFrozen(first.map.get('k')), 'Map values should be frozen');
+    assert.ok(Object.isFrozen([...first.set][0]), 'Set items should be frozen');
+    assert.ok(Buffer.isBuffer(first.buffer), 'Buffers should be kept as is');
+    assert.throws(() => first.list.push('c'), TypeError, 'Frozen reply should reject mutation');
+  });
+
+  test('custom clone function is called for every caller', async () => {
+    let calls = 0;
+    const cache = new SimpleClientSideCache({
+      clone: (value) => {
+        calls++;
+        return { ...value };
+      }
+    });
+
+    const first = await read(cache, { name: 'alice' });
+    const second = await read(cache);
+
+    assert.strictEqual(calls, 2, 'Clone should run for the load and the hit');
+    assert.deepStrictEqual(first, second);
+    assert.notStrictEqual(first, second, 'Custom clone should produce separate copies');
+  });
+
+  test('should throw TypeError for invalid clone', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ clone: 'deep' }),
+      TypeError,
+      'Should throw TypeError for unknown clone mode'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ clone: true }),
+      TypeError,
+      'Should throw TypeError for non-string clone'
+    );
+  });
+});
@@ -0,0 +1,69 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+describe('Command Filter Tests', () => {
+  test('every command is cacheable by default', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+
+    await cache.handleCache(null, createParser('GET', 'cmd:1'), async () => 'value');
+    await cache.handleCache(null, createParser('SMEMBERS', 'cmd:set'), async () => ['a']);
+
+    assert.strictEqual(cache.size(), 2, 'Both replies should be cached');
+    assert.strictEqual(cache.stats().bypassCount, 0, 'Nothing should be bypassed');
+  });
+
+  test('allow list only caches listed commands', async () => {
+    const cache = new SimpleClientSideCache({
+      enableStat: true,
+      commands: { allow: ['GET', 'mget', 'HGETALL'] }
+    });
+    let calls = 0;
+    const fn = async () => ++calls;
+
+    await cache.handleCache(null, createParser('GET', 'cmd:1'), fn);
+    await cache.handleCache(null, createParser('MGET', 'cmd:1', 'cmd:2'), fn);
+    await cache.handleCache(null, createParser('SMEMBERS', 'cmd:set'), fn);
+    await cache.handleCache(null, createParser('SMEMBERS', 'cmd:set'), fn);
+
+    assert.strictEqual(cache.size(), 2, 'Only GET and MGET should be cached');
+    assert.strictEqual(calls, 4, 'SMEMBERS should reach Redis every time');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.bypassCount, 2, 'Should have 2 bypassed calls');
+    assert.strictEqual(stats.missCount, 2, 'Bypassed calls should not count as misses');
+  });
+
+  test('deny list excludes listed commands', async () => {
+    const cache = new SimpleClientSideCache({
+      enableStat: true,
+      commands: { deny: ['SMEMBERS'] }
+    });
+
+    const members = await cache.handleCache(
+      null,
+      createParser('SMEMBERS', 'cmd:set'),
+      async () => ['a', 'b'],
+      (reply) => new Set(reply)
+    );
+
+    assert.deepStrictEqual(members, new Set(['a', 'b']), 'Bypassed reply should still be transformed');
+    assert.strictEqual(cache.size(), 0, 'Denied command should not be cached');
+    assert.ok(!cache.keyToCacheKeys.has('cmd:set'), 'Denied command should not be indexed');
+    assert.strictEqual(cache.stats().bypassCount, 1, 'Should have 1 bypassed call');
+  });
+
+  test('should throw TypeError for invalid command lists', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ commands: { allow: 'GET' } }),
+      TypeError,
+      'Should throw TypeError for non-array allow'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ commands: { deny: [1] } }),
+      TypeError,
+      'Should throw TypeError for non-string deny entries'
+    );
+  });
+});
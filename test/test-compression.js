@@ -0,0 +1,94 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+function load(cache, key, reply) {
+  return cache.handleCache(null, createParser('GET', key), async () => reply);
+}
+
+// 高度可压缩的 JSON 字符串，约 20KB
+const largeJson = JSON.stringify(Array.from({ length: 500 }, (_, i) => ({ id: i, status: 'active' })));
+
+describe('Compression Tests', () => {
+  test('large replies are compressed and restored on hit', async () => {
+    const cache = new SimpleClientSideCache({ compression: { threshold: 1024 }, enableStat: true });
+
+    assert.strictEqual(await load(cache, 'zip:1', largeJson), largeJson, 'Loader should get the original reply');
+    assert.strictEqual(await load(cache, 'zip:1'), largeJson, 'Hit should decompress the reply');
+
+    const stats = cache.stats();
+    assert.ok(stats.compressedBytes > 0, 'Compressed size should be reported');
+    assert.ok(stats.uncompressedBytes > stats.compressedBytes, 'Raw size should exceed compressed size');
+    assert.strictEqual(stats.compressionRatio, stats.uncompressedBytes / stats.compressedBytes);
+    assert.ok(cache.bytes() < largeJson.length, 'Estimated size should reflect the compressed form');
+  });
+
+  test('small replies are stored as is', async () => {
+    const cache = new SimpleClientSideCache({ compression: { threshold: 1024 }, enableStat: true });
+
+    await load(cache, 'zip:2', 'small');
+
+    assert.strictEqual(cache.cache.values().next().value.value, 'small', 'Small reply should not be compressed');
+    assert.strictEqual(cache.stats().compressedBytes, 0);
+    assert.strictEqual(cache.stats().compressionRatio, 0, 'Ratio should be 0 when nothing is compressed');
+  });
+
+  test('round-trips Maps, Sets and Buffers with every algorithm', async () => {
+    const reply = new Map([
+      ['set', new Set(Array.from({ length: 200 }, (_, i) => `member:${i}`))],
+      ['buffer', Buffer.alloc(2048, 'a')]
+    ]);
+
+    for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+      for (const storage of ['object', 'serialized']) {
+        const cache = new SimpleClientSideCache({ compression: { threshold: 512, algorithm }, storage, enableStat: true });
+        await load(cache, 'zip:3', reply);
+        const hit = await load(cache, 'zip:3');
+
+        assert.deepStrictEqual(hit, reply, `${algorithm}/${storage} should round-trip`);
+        assert.ok(Buffer.isBuffer(hit.get('buffer')), `${algorithm}/${storage} should keep Buffers`);
+        assert.ok(cache.stats().compressedBytes > 0, `${algorithm}/${storage} should compress`);
+      }
+    }
+  });
+
+  test('freeze clone mode freezes decompressed replies', async () => {
+    const cache = new SimpleClientSideCache({ compression: { threshold: 1024 }, clone: 'freeze' });
+    const reply = Array.from({ length: 200 }, (_, i) => ({ id: i }));
+
+    await load(cache, 'zip:4', reply);
+    const hit = await load(cache, 'zip:4');
+
+    assert.deepStrictEqual(hit, reply);
+    assert.ok(Object.isFrozen(hit) && Object.isFrozen(hit[0]), 'Decompressed reply should be deep-frozen');
+  });
+
+  test('removing entries updates compression stats', async () => {
+    const cache = new SimpleClientSideCache({ compression: { threshold: 1024 }, enableStat: true });
+
+    await load(cache, 'zip:5', largeJson);
+    await load(cache, 'zip:6', largeJson);
+    const perEntry = cache.stats().compressedBytes / 2;
+
+    cache.invalidate(Buffer.from('zip:5'));
+    assert.strictEqual(cache.stats().compressedBytes, perEntry, 'Invalidated entry should be subtracted');
+
+    cache.clear();
+    assert.strictEqual(cache.stats().compressedBytes, 0);
+    assert.strictEqual(cache.stats().uncompressedBytes, 0);
+  });
+
+  test('should throw TypeError for invalid compression', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ compression: {} }),
+      TypeError,
+      'Should throw TypeError for missing threshold'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ compression: { threshold: 1024, algorithm: 'lz4' } }),
+      TypeError,
+      'Should throw TypeError for unknown algorithm'
+    );
+  });
+});
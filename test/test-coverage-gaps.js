@@ -16,7 +16,23 @@ describe('Coverage Gap Tests', () => {
     assert.strictEqual(stats.loadSuccessCount, 0, 'loadSuccessCount should be 0');
     assert.strictEqual(stats.loadFailureCount, 0, 'loadFailureCount should be 0');
     assert.strictEqual(stats.totalLoadTime, 0, 'totalLoadTime should be 0');
+    assert.strictEqual(stats.maxLoadTime, 0, 'maxLoadTime should be 0');
+    assert.strictEqual(stats.loadTimeP50, 0, 'loadTimeP50 should be 0');
+    assert.strictEqual(stats.loadTimeP99, 0, 'loadTimeP99 should be 0');
     assert.strictEqual(stats.evictionCount, 0, 'evictionCount should be 0');
+    assert.strictEqual(stats.expirationCount, 0, 'expirationCount should be 0');
+    assert.strictEqual(stats.coalescedCount, 0, 'coalescedCount should be 0');
+    assert.strictEqual(stats.bypassCount, 0, 'bypassCount should be 0');
+    assert.strictEqual(stats.staleServedCount, 0, 'staleServedCount should be 0');
+    assert.strictEqual(stats.circuitState, 'closed', 'circuitState should be closed');
+    assert.strictEqual(stats.circuitOpenCount, 0, 'circuitOpenCount should be 0');
+    assert.strictEqual(stats.circuitRejectedCount, 0, 'circuitRejectedCount should be 0');
+    assert.deepStrictEqual(stats.byCommand, {}, 'byCommand should be empty');
+    assert.deepStrictEqual(stats.byPrefix, {}, 'byPrefix should be empty');
+    assert.strictEqual(stats.estimatedBytes, 0, 'estimatedBytes should be 0');
+    assert.strictEqual(stats.compressedBytes, 0, 'compressedBytes should be 0');
+    assert.strictEqual(stats.uncompressedBytes, 0, 'uncompressedBytes should be 0');
+    assert.strictEqual(stats.compressionRatio, 0, 'compressionRatio should be 0');
   });
 
   test('onError() clears cache', async () => {
@@ -0,0 +1,110 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParserWithArgs, sleep } = require('./helpers');
+
+function read(cache, command, keys, ...args) {
+  return cache.handleCache(null, createParserWithArgs(command, keys, ...args), async () => ({ keys, args }));
+}
+
+describe('Introspection API Tests', () => {
+  test('has() checks by command and arguments', async () => {
+    const cache = new SimpleClientSideCache();
+    await read(cache, 'GET', ['user:1']);
+    await read(cache, 'HGET', ['user:2'], 'name');
+
+    assert.strictEqual(cache.has('GET', 'user:1'), true);
+    assert.strictEqual(cache.has('get', 'user:1'), true, 'Command name should be case-insensitive');
+    assert.strictEqual(cache.has('HGET', 'user:2', 'name'), true);
+    assert.strictEqual(cache.has('HGET', 'user:2', 'email'), false);
+    assert.strictEqual(cache.has('GET', 'user:2'), false);
+  });
+
+  test('peek() has no side effects', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true, maxEntries: 2 });
+    const events = [];
+    cache.on('hit', () => events.push('hit'));
+    await read(cache, 'GET', ['peek:1']);
+    await read(cache, 'GET', ['peek:2']);
+    const [cacheKey] = cache.cacheKeysFor('peek:1');
+
+    const value = cache.peek(cacheKey);
+    value.keys.push('mutated');
+    await read(cache, 'GET', ['peek:3']);
+
+    assert.deepStrictEqual(cache.peek(cacheKey), undefined, 'peek() should not refresh LRU order');
+    assert.deepStrictEqual(cache.peek(cache.cacheKeysFor('peek:2')[0]), { keys: ['peek:2'], args: [] });
+    assert.strictEqual(cache.stats().hitCount, 0);
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(cache.peek('missing'), undefined);
+  });
+
+  test('peek() decodes serialized storage', async () => {
+    const cache = new SimpleClientSideCache({ storage: 'serialized' });
+    await read(cache, 'GET', ['peek:4']);
+
+    assert.deepStrictEqual(cache.peek(cache.cacheKeysFor('peek:4')[0]), { keys: ['peek:4'], args: [] });
+  });
+
+  test('cacheKeysFor() returns a copy of the reverse index', async () => {
+    const cache = new SimpleClientSideCache();
+    await read(cache, 'GET', ['user:1']);
+    await read(cache, 'MGET', ['user:1', 'user:2']);
+
+    const cacheKeys = cache.cacheKeysFor(Buffer.from('user:1'));
+    assert.strictEqual(cacheKeys.length, 2);
+    cacheKeys.pop();
+
+    assert.strictEqual(cache.cacheKeysFor('user:1').length, 2);
+    assert.deepStrictEqual(cache.cacheKeysFor('user:3'), []);
+  });
+
+  test('entries() describes entries with decoded commands', async () => {
+    const cache = new SimpleClientSideCache({ ttl: 60000 });
+    await read(cache, 'GET', ['user:1']);
+    await read(cache, 'MGET', ['user:1', 'user:2']);
+    await read(cache, 'GET', ['user:3']);
+
+    const entries = [...cache.entries('user:1')];
+
+    assert.deepStrictEqual(entries.map(({ command, args, keys }) => [command, args, keys]), [
+      ['GET', ['user:1'], ['user:1']],
+      ['MGET', ['user:1', 'user:2'], ['user:1', 'user:2']]
+    ]);
+    assert.ok(entries[0].expiresAt > Date.now());
+    assert.strictEqual(entries[0].unverified, false);
+    assert.strictEqual([...cache.entries()].length, 3);
+  });
+
+  test('arguments containing separators and digits decode exactly', async () => {
+    const cache = new SimpleClientSideCache();
+    await read(cache, 'HGET', ['a_1_b'], '12_3');
+
+    const [entry] = cache.entries();
+    assert.strictEqual(entry.command, 'HGET');
+    assert.deepStrictEqual(entry.args, ['a_1_b', '12_3']);
+  });
+
+  test('expired entries are hidden', async () => {
+    const cache = new SimpleClientSideCache({ ttl: 10 });
+    await read(cache, 'GET', ['ttl:1']);
+    const [cacheKey] = cache.cacheKeysFor('ttl:1');
+    await sleep(20);
+
+    assert.strictEqual(cache.has('GET', 'ttl:1'), false);
+    assert.strictEqual(cache.peek(cacheKey), undefined);
+    assert.deepStrictEqual([...cache.entries()], []);
+    assert.strictEqual(cache.size(), 1, 'Inspection should not remove expired entries');
+  });
+
+  test('unverified entries are visible but not reported by has()', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000 });
+    await read(cache, 'GET', ['swr:1']);
+    cache.onError();
+
+    const [entry] = cache.entries();
+    assert.strictEqual(entry.unverified, true);
+    assert.deepStrictEqual(cache.peek(entry.cacheKey), { keys: ['swr:1'], args: [] });
+    assert.strictEqual(cache.has('GET', 'swr:1'), false);
+  });
+});
@@ -0,0 +1,118 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, createDeferredFn } = require('./helpers');
+
+describe('Invalidation During Load Tests', () => {
+  test('reply is returned but not cached when its key is invalidated mid-load', async () => {
+    const cache = new SimpleClientSideCache();
+    const deferred = createDeferredFn();
+
+    const result = cache.handleCache(null, createParser('GET', 'race:1'), deferred.fn);
+    cache.invalidate(Buffer.from('race:1'));
+    deferred.resolve('old');
+
+    assert.strictEqual(await result, 'old', 'Caller should still get the reply');
+    assert.strictEqual(cache.size(), 0, 'Stale reply should not be cached');
+    assert.strictEqual(cache.keyToCacheKeys.size, 0, 'Stale reply should not be indexed');
+  });
+
+  test('invalidating one key of a multi-key load discards it', async () => {
+    const cache = new SimpleClientSideCache();
+    const deferred = createDeferredFn();
+
+    const result = cache.handleCache(null, createParser('MGET', 'race:a', 'race:b'), deferred.fn);
+    cache.invalidate(Buffer.from('race:b'));
+    deferred.resolve(['a', 'b']);
+    await result;
+
+    assert.strictEqual(cache.size(), 0, 'Stale MGET reply should not be cached');
+  });
+
+  test('invalidation only discards the loads depending on the key', async () => {
+    const cache = new SimpleClientSideCache();
+    const multi = createDeferredFn();
+    const single = createDeferredFn();
+    const other = createDeferredFn();
+    const fresh = createDeferredFn();
+
+    const results = [
+      cache.handleCache(null, createParser('MGET', 'race:a', 'race:b'), multi.fn),
+      cache.handleCache(null, createParser('GET', 'race:a'), single.fn),
+      cache.handleCache(null, createParser('GET', 'race:c'), other.fn)
+    ];
+    cache.invalidate(Buffer.from('race:a'));
+    // 失效后的未命中开始新的加载，而不是等待已过期的请求
+    results.push(cache.handleCache(null, createParser('GET', 'race:a'), fresh.fn));
+    multi.resolve(['a', 'b']);
+    single.resolve('a');
+    other.resolve('c');
+    fresh.resolve('a2');
+
+    assert.deepStrictEqual(await Promise.all(results), [['a', 'b'], 'a', 'c', 'a2']);
+    assert.deepStrictEqual([...cache.keyToCacheKeys.keys()].sort(), ['race:a', 'race:c']);
+    assert.strictEqual(cache.size(), 2);
+    assert.strictEqual(cache._pendingByKey.size, 0, 'Finished loads should leave the pending index');
+  });
+
+  test('global invalidation discards every in-flight load', async () => {
+    const cache = new SimpleClientSideCache();
+    const first = createDeferredFn();
+    const second = createDeferredFn();
+
+    const results = [
+      cache.handleCache(null, createParser('GET', 'race:x'), first.fn),
+      cache.handleCache(null, createParser('GET', 'race:y'), second.fn)
+    ];
+    cache.invalidate(null);
+    first.resolve('x');
+    second.resolve('y');
+    await Promise.all(results);
+
+    assert.strictEqual(cache.size(), 0, 'No reply should be cached after global flush');
+  });
+
+  test('clear() discards in-flight loads', async () => {
+    const cache = new SimpleClientSideCache();
+    const deferred = createDeferredFn();
+
+    const result = cache.handleCache(null, createParser('GET', 'race:c'), deferred.fn);
+    cache.onError();
+    deferred.resolve('value');
+    await result;
+
+    assert.strictEqual(cache.size(), 0, 'Reply loaded across onError should not be cached');
+  });
+
+  test('unrelated invalidation keeps the load cacheable', async () => {
+    const cache = new SimpleClientSideCache();
+    const deferred = createDeferredFn();
+
+    const result = cache.handleCache(null, createParser('GET', 'race:2'), deferred.fn);
+    cache.invalidate(Buffer.from('race:other'));
+    deferred.resolve('value');
+    await result;
+
+    assert.strictEqual(cache.size(), 1, 'Reply should be cached');
+  });
+
+  test('misses after invalidation start a fresh load instead of joining the stale one', async () => {
+    const cache = new SimpleClientSideCache();
+    const stale = createDeferredFn();
+    const fresh = createDeferredFn();
+
+    const first = cache.handleCache(null, createParser('GET', 'race:3'), stale.fn);
+    cache.invalidate(Buffer.from('race:3'));
+    const second = cache.handleCache(null, createParser('GET', 'race:3'), fresh.fn);
+
+    stale.resolve('old');
+    fresh.resolve('new');
+
+    assert.strictEqual(await first, 'old');
+    assert.strictEqual(await second, 'new', 'Second caller should not get the stale reply');
+    assert.strictEqual(fresh.calls, 1, 'Fresh load should be issued');
+
+    const cached = await cache.handleCache(null, createParser('GET', 'race:3'), stale.fn);
+    assert.strictEqual(cached, 'new', 'Only the fresh reply should be cached');
+  });
+});
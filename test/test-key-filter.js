@@ -0,0 +1,89 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+async function load(cache, command, ...keys) {
+  return cache.handleCache(null, createParser(command, ...keys), async () => keys.join(','));
+}
+
+describe('Key Filter Tests', () => {
+  test('include patterns restrict caching to selected keyspaces', async () => {
+    const cache = new SimpleClientSideCache({
+      enableStat: true,
+      keyFilter: { include: ['config:*', 'user:profile:*'] }
+    });
+
+    await load(cache, 'GET', 'config:app');
+    await load(cache, 'GET', 'user:profile:1');
+    await load(cache, 'GET', 'user:session:1');
+    await load(cache, 'GET', 'other');
+
+    assert.strictEqual(cache.size(), 2, 'Only included keys should be cached');
+    assert.strictEqual(cache.stats().bypassCount, 2, 'Filtered keys should be bypassed');
+  });
+
+  test('exclude patterns win over include patterns', async () => {
+    const cache = new SimpleClientSideCache({
+      keyFilter: { include: ['user:*'], exclude: ['user:*:session', 'user:tmp?'] }
+    });
+
+    await load(cache, 'GET', 'user:1');
+    await load(cache, 'GET', 'user:1:session');
+    await load(cache, 'GET', 'user:tmp1');
+
+    assert.strictEqual(cache.size(), 1, 'Excluded keys should not be cached');
+    assert.ok(cache.keyToCacheKeys.has('user:1'));
+  });
+
+  test('multi-key commands are cached only when every key passes', async () => {
+    const cache = new SimpleClientSideCache({ keyFilter: { include: ['config:*'] } });
+
+    await load(cache, 'MGET', 'config:a', 'config:b');
+    await load(cache, 'MGET', 'config:a', 'session:1');
+
+    assert.strictEqual(cache.size(), 1, 'Only the all-config MGET should be cached');
+    assert.ok(!cache.keyToCacheKeys.has('session:1'), 'Rejected MGET should not be indexed');
+    assert.strictEqual(cache.keyToCacheKeys.get('config:a').size, 1);
+  });
+
+  test('glob patterns support ?, character classes and escapes', async () => {
+    const cache = new SimpleClientSideCache({
+      keyFilter: { include: ['item:[0-9]', 'tag:[^x]?', 'literal:\\*'] }
+    });
+
+    for (const key of ['item:5', 'item:a', 'tag:ab', 'tag:xb', 'literal:*', 'literal:abc']) {
+      await load(cache, 'GET', key);
+    }
+
+    assert.deepStrictEqual(
+      [...cache.keyToCacheKeys.keys()].sort(),
+      ['item:5', 'literal:*', 'tag:ab']
+    );
+  });
+
+  test('reversed ranges and special characters in sets match like Redis', async () => {
+    const cache = new SimpleClientSideCache({
+      keyFilter: { include: ['k[z-a]', 'd[9-0]', 's[-^]'] }
+    });
+
+    for (const key of ['km', 'k1', 'd5', 's-', 's^', 'sx']) {
+      await load(cache, 'GET', key);
+    }
+
+    assert.deepStrictEqual([...cache.keyToCacheKeys.keys()].sort(), ['d5', 'km', 's-', 's^']);
+  });
+
+  test('should throw TypeError for invalid patterns', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ keyFilter: { include: 'config:*' } }),
+      TypeError,
+      'Should throw TypeError for non-array include'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ keyFilter: { exclude: [/session/] } }),
+      TypeError,
+      'Should throw TypeError for non-string exclude entries'
+    );
+  });
+});
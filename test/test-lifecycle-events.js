@@ -0,0 +1,127 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+function read(cache, command, ...keys) {
+  return cache.handleCache(null, createParser(command, ...keys), async () => keys.join(','));
+}
+
+// 收集某个事件的所有 payload
+function record(cache, event) {
+  const events = [];
+  cache.on(event, (payload) => events.push(payload));
+  return events;
+}
+
+describe('Lifecycle Events Tests', () => {
+  test('emits miss, store and hit with cacheKey and keys', async () => {
+    const cache = new SimpleClientSideCache();
+    const order = [];
+    for (const event of ['miss', 'store', 'hit']) {
+      cache.on(event, (payload) => order.push([event, payload]));
+    }
+
+    await read(cache, 'MGET', 'ev:1', 'ev:2');
+    await read(cache, 'MGET', 'ev:1', 'ev:2');
+
+    const cacheKey = cache.cache.keys().next().value;
+    assert.deepStrictEqual(order, [
+      ['miss', { cacheKey, keys: ['ev:1', 'ev:2'] }],
+      ['store', { cacheKey, keys: ['ev:1', 'ev:2'], size: 0 }],
+      ['hit', { cacheKey, keys: ['ev:1', 'ev:2'] }]
+    ]);
+  });
+
+  test('event payload keys are copies', async () => {
+    const cache = new SimpleClientSideCache();
+    cache.on('hit', ({ keys }) => keys.push('mutated'));
+
+    await read(cache, 'GET', 'ev:3');
+    await read(cache, 'GET', 'ev:3');
+
+    assert.deepStrictEqual(cache.cache.values().next().value.keys, ['ev:3'], 'Listeners should not mutate entries');
+  });
+
+  test('evict reasons: invalidation, flush, capacity and ttl', async () => {
+    const cache = new SimpleClientSideCache({ maxEntries: 2, ttl: 20 });
+    const evicted = record(cache, 'evict');
+
+    await read(cache, 'GET', 'ev:a');
+    await read(cache, 'GET', 'ev:b');
+    await read(cache, 'GET', 'ev:c'); // 容量淘汰 ev:a
+    cache.invalidate(Buffer.from('ev:b'));
+    await sleep(30);
+    await read(cache, 'GET', 'ev:c'); // ev:c 过期
+    cache.invalidate(null);
+
+    assert.deepStrictEqual(evicted.map(({ keys, reason }) => [keys[0], reason]), [
+      ['ev:a', 'capacity'],
+      ['ev:b', 'invalidation'],
+      ['ev:c', 'ttl'],
+      ['ev:c', 'flush']
+    ]);
+  });
+
+  test('evict reasons: clear, error and close', async () => {
+    const cache = new SimpleClientSideCache();
+    const evicted = record(cache, 'evict');
+
+    for (const [method, reason] of [['clear', 'clear'], ['onError', 'error'], ['onClose', 'close']]) {
+      await read(cache, 'GET', 'ev:d');
+      await read(cache, 'GET', 'ev:e');
+      cache[method]();
+
+      const reasons = evicted.splice(0).map((event) => event.reason);
+      assert.deepStrictEqual(reasons, [reason, reason], `${method}() should evict every entry with reason ${reason}`);
+    }
+  });
+
+  test('flush emits after the cache is emptied', async () => {
+    const cache = new SimpleClientSideCache();
+    const sizes = [];
+    cache.on('evict', () => sizes.push(cache.size()));
+
+    await read(cache, 'GET', 'ev:f');
+    await read(cache, 'GET', 'ev:g');
+    cache.invalidate(null);
+
+    assert.deepStrictEqual(sizes, [0, 0]);
+  });
+
+  test('evict reason write for writeThrough drops', async () => {
+    const cache = new SimpleClientSideCache({ writeThrough: true });
+    const evicted = record(cache, 'evict');
+    // 只实现 sendCommand 的最小客户端
+    const client = { sendCommand: async () => 'OK' };
+
+    await cache.handleCache(client, createParser('GET', 'ev:h'), async () => 'v');
+    await client.sendCommand(['SET', 'ev:h', 'new']);
+
+    assert.deepStrictEqual(evicted, [{ cacheKey: '3_4_GET_ev:h', keys: ['ev:h'], reason: 'write' }]);
+  });
+
+  test('no events or payloads without listeners', async () => {
+    const cache = new SimpleClientSideCache({ maxEntries: 1 });
+    const emitted = [];
+    const emit = cache.emit;
+    cache.emit = function (event, ...args) {
+      emitted.push(event);
+      return emit.call(this, event, ...args);
+    };
+
+    await read(cache, 'GET', 'ev:i');
+    await read(cache, 'GET', 'ev:i');
+    await read(cache, 'GET', 'ev:j');
+    cache.clear();
+
+    assert.deepStrictEqual(emitted, [], 'Lifecycle events should not be emitted without listeners');
+
+    const listener = () => {};
+    cache.on('hit', listener);
+    cache.off('hit', listener);
+    await read(cache, 'GET', 'ev:k');
+    await read(cache, 'GET', 'ev:k');
+    assert.deepStrictEqual(emitted, [], 'Removing the last listener should stop emitting');
+  });
+});
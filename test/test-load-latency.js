@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+describe('Load Latency Histogram Tests', () => {
+  test('loads are recorded in the histogram', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+
+    await cache.handleCache(null, createParser('GET', 'lat:1'), async () => 'fast');
+    await cache.handleCache(null, createParser('GET', 'lat:2'), async () => {
+      await sleep(30);
+      return 'slow';
+    });
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'lat:3'), async () => {
+      throw new Error('load failed');
+    }));
+
+    const { loadTimeHistogram, maxLoadTime, totalLoadTime } = cache.stats();
+    const total = loadTimeHistogram.counts.reduce((sum, count) => sum + count, 0);
+    assert.strictEqual(total, 3, 'Successful and failed loads should be recorded');
+    assert.strictEqual(loadTimeHistogram.counts.length, loadTimeHistogram.buckets.length + 1, 'Should have an overflow bucket');
+    assert.ok(maxLoadTime >= 25, 'maxLoadTime should reflect the slow load');
+    assert.ok(maxLoadTime <= totalLoadTime);
+  });
+
+  test('percentiles are interpolated within buckets', () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    // 0.1ms ~ 10ms 均匀分布
+    for (let i = 1; i <= 100; i++) {
+      cache._addLoadTime(i / 10);
+    }
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.loadTimeP50, 5);
+    assert.strictEqual(stats.loadTimeP90, 9);
+    assert.ok(Math.abs(stats.loadTimeP99 - 9.9) < 1e-9, `p99 should be ~9.9, got ${stats.loadTimeP99}`);
+    assert.strictEqual(stats.maxLoadTime, 10);
+  });
+
+  test('tail latency shows up in p99 but not p50', () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    for (let i = 0; i < 95; i++) {
+      cache._addLoadTime(0.4);
+    }
+    for (let i = 0; i < 5; i++) {
+      cache._addLoadTime(800);
+    }
+
+    const stats = cache.stats();
+    assert.ok(stats.loadTimeP50 <= 0.5, `p50 should stay in the fast bucket, got ${stats.loadTimeP50}`);
+    assert.ok(stats.loadTimeP99 > 500 && stats.loadTimeP99 <= 800, `p99 should reflect the slow loads, got ${stats.loadTimeP99}`);
+  });
+
+  test('overflow bucket is capped by maxLoadTime', () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    cache._addLoadTime(30000);
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.loadTimeHistogram.counts.at(-1), 1, 'Slow load should go to the overflow bucket');
+    assert.ok(stats.loadTimeP99 > 10000 && stats.loadTimeP99 <= 30000);
+  });
+
+  test('returned histogram is a copy', () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    cache.stats().loadTimeHistogram.counts[0] = 99;
+
+    assert.strictEqual(cache.stats().loadTimeHistogram.counts[0], 0, 'Mutating stats() should not affect the cache');
+    assert.strictEqual(new SimpleClientSideCache().stats().loadTimeP99, 0, 'Disabled stats should report 0');
+  });
+});
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+async function load(cache, key, value, command = 'GET') {
+  return cache.handleCache(null, createParser(command, key), async () => value);
+}
+
+describe('maxBytes Memory Budget Tests', () => {
+  test('bytes() is 0 when neither maxBytes nor stats are enabled', async () => {
+    const cache = new SimpleClientSideCache();
+
+    await load(cache, 'mb:1', 'x'.repeat(1000));
+
+    assert.strictEqual(cache.bytes(), 0, 'Size estimation should be skipped');
+  });
+
+  test('tracks estimated bytes with stats enabled', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+
+    await load(cache, 'mb:1', 'x'.repeat(1000));
+    const afterOne = cache.bytes();
+    assert.ok(afterOne > 2000, `1000-char string should take over 2000 bytes, got ${afterOne}`);
+    assert.strictEqual(cache.stats().estimatedBytes, afterOne, 'stats() should expose the same gauge');
+
+    await load(cache, 'mb:2', 'x'.repeat(1000));
+    assert.strictEqual(cache.bytes(), afterOne * 2, 'Equal entries should have equal size');
+
+    cache.invalidate(Buffer.from('mb:1'));
+    assert.strictEqual(cache.bytes(), afterOne, 'Invalidation should release bytes');
+
+    cache.clear();
+    assert.strictEqual(cache.bytes(), 0, 'clear() should reset bytes');
+  });
+
+  test('estimates every reply type', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    const replies = [
+      Buffer.alloc(4096),
+      ['a', 'b', Buffer.alloc(100)],
+      new Map([['field', 'value']]),
+      new Set(['a', 'b']),
+      { field: 'value' },
+      42,
+      null
+    ];
+
+    let previous = 0;
+    for (let i = 0; i < replies.length; i++) {
+      await load(cache, `mb:type:${i}`, replies[i]);
+      assert.ok(cache.bytes() > previous, `Reply ${i} should add bytes`);
+      previous = cache.bytes();
+    }
+    assert.ok(previous > 4096, 'Buffer payload should be counted');
+  });
+
+  test('evicts least-recently-used entries once the budget is exceeded', async () => {
+    const cache = new SimpleClientSideCache({ maxBytes: 5000, enableStat: true });
+    const value = 'x'.repeat(1000); // ~2100 bytes per entry
+
+    await load(cache, 'mb:a', value);
+    await load(cache, 'mb:b', value);
+    await load(cache, 'mb:a', value); // hit, mb:a becomes most recent
+    await load(cache, 'mb:c', value); // evicts mb:b
+
+    assert.strictEqual(cache.size(), 2, 'Only 2 entries fit the budget');
+    assert.ok(cache.bytes() <= 5000, 'Estimated bytes should stay within budget');
+    assert.ok(!cache.keyToCacheKeys.has('mb:b'), 'Evicted key should leave the reverse index');
+    assert.strictEqual(cache.stats().evictionCount, 1, 'Budget eviction should be counted');
+  });
+
+  test('a single entry larger than the budget is not cached', async () => {
+    const cache = new SimpleClientSideCache({ maxBytes: 5000 });
+
+    await load(cache, 'mb:small', 'x');
+    const value = await load(cache, 'mb:huge', 'x'.repeat(5 * 1024 * 1024));
+
+    assert.strictEqual(value.length, 5 * 1024 * 1024, 'Reply should still be returned');
+    assert.strictEqual(cache.size(), 1, 'Huge reply should not evict the small entry');
+    assert.ok(!cache.keyToCacheKeys.has('mb:huge'), 'Huge reply should not be indexed');
+  });
+
+  test('should throw TypeError for invalid maxBytes', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ maxBytes: -1 }),
+      TypeError,
+      'Should throw TypeError for negative maxBytes'
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+async function load(cache, command, ...keys) {
+  return cache.handleCache(null, createParser(command, ...keys), async () => keys.join(','));
+}
+
+describe('maxEntries LRU Eviction Tests', () => {
+  test('unlimited by default', async () => {
+    const cache = new SimpleClientSideCache();
+
+    for (let i = 0; i < 100; i++) {
+      await load(cache, 'GET', `lru:${i}`);
+    }
+
+    assert.strictEqual(cache.maxEntries, 0, 'maxEntries should default to 0');
+    assert.strictEqual(cache.size(), 100, 'Cache should keep all entries');
+  });
+
+  test('evicts least-recently-used entry when full', async () => {
+    const cache = new SimpleClientSideCache({ maxEntries: 3, enableStat: true });
+
+    await load(cache, 'GET', 'lru:1');
+    await load(cache, 'GET', 'lru:2');
+    await load(cache, 'GET', 'lru:3');
+    await load(cache, 'GET', 'lru:1'); // hit, lru:1 becomes most recent
+    await load(cache, 'GET', 'lru:4'); // evicts lru:2
+
+    assert.strictEqual(cache.size(), 3, 'Cache should be capped at 3 entries');
+    assert.ok(!cache.keyToCacheKeys.has('lru:2'), 'Evicted key should leave the reverse index');
+    assert.ok(cache.keyToCacheKeys.has('lru:1'), 'Recently used key should be kept');
+    assert.strictEqual(cache.stats().evictionCount, 1, 'Capacity eviction should be counted');
+  });
+
+  test('evicting multi-key entry cleans every reverse index Set', async () => {
+    const cache = new SimpleClientSideCache({ maxEntries: 2 });
+
+    await load(cache, 'MGET', 'lru:a', 'lru:b');
+    await load(cache, 'GET', 'lru:a');
+    await load(cache, 'GET', 'lru:c'); // evicts MGET
+
+    assert.strictEqual(cache.size(), 2, 'Cache should be capped at 2 entries');
+    assert.strictEqual(cache.keyToCacheKeys.get('lru:a').size, 1, 'lru:a should only map to GET');
+    assert.ok(!cache.keyToCacheKeys.has('lru:b'), 'lru:b should not keep a dangling cacheKey');
+  });
+
+  test('invalidating one key of multi-key entry cleans the other keys', async () => {
+    const cache = new SimpleClientSideCache();
+
+    await load(cache, 'MGET', 'lru:x', 'lru:y');
+    cache.invalidate(Buffer.from('lru:x'));
+
+    assert.strictEqual(cache.size(), 0, 'MGET entry should be removed');
+    assert.strictEqual(cache.keyToCacheKeys.size, 0, 'Reverse index should be empty');
+  });
+
+  test('should throw TypeError for invalid maxEntries', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ maxEntries: -1 }),
+      TypeError,
+      'Should throw TypeError for negative maxEntries'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ maxEntries: 1.5 }),
+      TypeError,
+      'Should throw TypeError for non-integer maxEntries'
+    );
+  });
+});
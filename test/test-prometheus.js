@@ -0,0 +1,112 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createPrometheusExporter, PROMETHEUS_CONTENT_TYPE } = require('../src/prometheus');
+const { createParser } = require('./helpers');
+
+// 解析 "name{labels} value" 样本行，忽略 HELP/TYPE 注释
+function parseSamples(text) {
+  const samples = new Map();
+  for (const line of text.trim().split('\n')) {
+    if (!line.startsWith('#')) {
+      const index = line.lastIndexOf(' ');
+      samples.set(line.slice(0, index), Number(line.slice(index + 1)));
+    }
+  }
+  return samples;
+}
+
+describe('Prometheus Exporter Tests', () => {
+  test('renders counters, gauges and load histogram', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    await cache.handleCache(null, createParser('MGET', 'prom:1', 'prom:2'), async () => ['a', 'b']);
+    await cache.handleCache(null, createParser('MGET', 'prom:1', 'prom:2'), async () => ['a', 'b']);
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'prom:3'), async () => {
+      throw new Error('load failed');
+    }));
+
+    const text = createPrometheusExporter(cache)();
+    const samples = parseSamples(text);
+
+    assert.ok(text.endsWith('\n'), 'Output should end with a newline');
+    assert.match(text, /^# TYPE redis_csc_hits_total counter$/m);
+    assert.match(text, /^# TYPE redis_csc_entries gauge$/m);
+    assert.match(text, /^# TYPE redis_csc_load_duration_seconds histogram$/m);
+    assert.strictEqual(samples.get('redis_csc_hits_total'), 1);
+    assert.strictEqual(samples.get('redis_csc_misses_total'), 2);
+    assert.strictEqual(samples.get('redis_csc_loads_total{result="success"}'), 1);
+    assert.strictEqual(samples.get('redis_csc_loads_total{result="failure"}'), 1);
+    assert.strictEqual(samples.get('redis_csc_entries'), 1);
+    assert.strictEqual(samples.get('redis_csc_index_keys'), 2, 'Index size should count Redis keys');
+    assert.strictEqual(samples.get('redis_csc_bytes'), cache.bytes());
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_bucket{le="+Inf"}'), 2);
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_count'), 2);
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_sum'), cache.stats().totalLoadTime / 1000);
+  });
+
+  test('renders the circuit breaker state as a number', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true, circuitBreaker: { threshold: 1 } });
+    const render = createPrometheusExporter(cache);
+    assert.strictEqual(parseSamples(render()).get('redis_csc_circuit_state'), 0);
+
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'prom:cb'), async () => {
+      throw new Error('load failed');
+    }));
+
+    const samples = parseSamples(render());
+    assert.strictEqual(samples.get('redis_csc_circuit_state'), 1);
+    assert.strictEqual(samples.get('redis_csc_circuit_opens_total'), 1);
+  });
+
+  test('renders cumulative load time buckets in seconds', () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    for (const time of [0.05, 3, 4, 20000]) {
+      cache._addLoadTime(time);
+    }
+
+    const samples = parseSamples(createPrometheusExporter(cache)());
+
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_bucket{le="0.0001"}'), 1);
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_bucket{le="0.0025"}'), 1);
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_bucket{le="0.005"}'), 3);
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_bucket{le="10"}'), 3);
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_bucket{le="+Inf"}'), 4, 'Overflow should only appear in +Inf');
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_count'), 4);
+  });
+
+  test('applies prefix and escaped constant labels to every sample', () => {
+    const cache = new SimpleClientSideCache();
+    const render = createPrometheusExporter(cache, {
+      prefix: 'app_cache',
+      labels: { service: 'api', note: 'a "quoted"\\path\n' }
+    });
+
+    const labels = 'service="api",note="a \\"quoted\\"\\\\path\\n"';
+    const samples = parseSamples(render());
+
+    for (const name of samples.keys()) {
+      assert.ok(name.startsWith('app_cache_'), `${name} should use the prefix`);
+      assert.ok(name.includes(`{${labels}`), `${name} should carry the constant labels`);
+    }
+    assert.strictEqual(samples.get(`app_cache_loads_total{${labels},result="success"}`), 0);
+    assert.strictEqual(samples.get(`app_cache_entries{${labels}}`), 0);
+  });
+
+  test('renders zeros when statistics are disabled', () => {
+    const samples = parseSamples(createPrometheusExporter(new SimpleClientSideCache())());
+
+    assert.strictEqual(samples.get('redis_csc_hits_total'), 0);
+    assert.strictEqual(samples.get('redis_csc_load_duration_seconds_count'), 0);
+  });
+
+  test('exports the exposition format content type', () => {
+    assert.strictEqual(PROMETHEUS_CONTENT_TYPE, 'text/plain; version=0.0.4; charset=utf-8');
+  });
+
+  test('should throw TypeError for invalid prefix or labels', () => {
+    const cache = new SimpleClientSideCache();
+    assert.throws(() => createPrometheusExporter(cache, { prefix: 'my-cache' }), TypeError, 'Should reject invalid prefix');
+    assert.throws(() => createPrometheusExporter(cache, { labels: { 'bad-name': 'x' } }), TypeError, 'Should reject invalid label name');
+    assert.throws(() => createPrometheusExporter(cache, { labels: { le: '1' } }), TypeError, 'Should reject reserved label name');
+  });
+});
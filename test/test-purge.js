@@ -0,0 +1,85 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+function read(cache, command, ...keys) {
+  return cache.handleCache(null, createParser(command, ...keys), async () => keys.join(','));
+}
+
+async function populate(cache) {
+  await read(cache, 'GET', 'user:1');
+  await read(cache, 'GET', 'user:2');
+  await read(cache, 'MGET', 'user:1', 'order:1');
+  await read(cache, 'GET', 'order:2');
+  await read(cache, 'GET', 'config:app');
+}
+
+describe('Purge Tests', () => {
+  test('purgeKey() drops entries depending on the key', async () => {
+    const cache = new SimpleClientSideCache();
+    await populate(cache);
+
+    assert.strictEqual(cache.purgeKey('user:1'), 2);
+    assert.strictEqual(cache.purgeKey(Buffer.from('user:2')), 1);
+    assert.strictEqual(cache.purgeKey('missing'), 0);
+
+    assert.strictEqual(cache.size(), 2);
+    assert.ok(!cache.keyToCacheKeys.has('order:1'), 'MGET entry should be removed from every index Set');
+  });
+
+  test('purgePrefix() drops entries under a prefix', async () => {
+    const cache = new SimpleClientSideCache();
+    await populate(cache);
+
+    assert.strictEqual(cache.purgePrefix('order:'), 2);
+    assert.deepStrictEqual([...cache.keyToCacheKeys.keys()].sort(), ['config:app', 'user:1', 'user:2']);
+    assert.throws(() => cache.purgePrefix(null), TypeError);
+  });
+
+  test('purgePattern() drops entries matching a glob', async () => {
+    const cache = new SimpleClientSideCache();
+    await populate(cache);
+
+    assert.strictEqual(cache.purgePattern('*:[2]'), 2);
+    assert.deepStrictEqual([...cache.keyToCacheKeys.keys()].sort(), ['config:app', 'order:1', 'user:1']);
+    assert.strictEqual(cache.purgePattern('config:?pp'), 1);
+    assert.strictEqual(cache.purgePattern('order:[9-0]'), 1, 'Reversed ranges should not throw');
+    assert.throws(() => cache.purgePattern(/user/), TypeError);
+  });
+
+  test('purges count as evictions with reason purge and no invalidate event', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true, statBreakdown: { commands: true } });
+    const evicted = [];
+    const invalidated = [];
+    cache.on('evict', ({ keys, reason }) => evicted.push([keys[0], reason]));
+    cache.on('invalidate', (key) => invalidated.push(key));
+    await populate(cache);
+
+    cache.purgeKey('config:app');
+    cache.purgePrefix('user:');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.evictionCount, 4);
+    assert.strictEqual(stats.byCommand.GET.evictionCount, 3);
+    assert.strictEqual(stats.byCommand.MGET.evictionCount, 1);
+    assert.deepStrictEqual(evicted.map(([, reason]) => reason), ['purge', 'purge', 'purge', 'purge']);
+    assert.deepStrictEqual(invalidated, []);
+  });
+
+  test('in-flight loads for purged keys are not cached', async () => {
+    const cache = new SimpleClientSideCache();
+    const slow = (value) => async () => {
+      await sleep(10);
+      return value;
+    };
+    const first = cache.handleCache(null, createParser('GET', 'user:9'), slow('old'));
+    const second = cache.handleCache(null, createParser('GET', 'config:9'), slow('old'));
+
+    cache.purgePattern('user:*');
+    cache.purgePrefix('config:');
+
+    assert.deepStrictEqual(await Promise.all([first, second]), ['old', 'old']);
+    assert.strictEqual(cache.size(), 0);
+  });
+});
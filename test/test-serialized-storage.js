@@ -0,0 +1,69 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+describe('Serialized Storage Tests', () => {
+  test('stores entries as Buffers and round-trips every reply type', async () => {
+    const cache = new SimpleClientSideCache({ storage: 'serialized' });
+    // RESP3 Map/Set、typeMapping 下的 Buffer、数字、null 和嵌套数组
+    const reply = new Map([
+      ['string', 'héllo'],
+      ['buffer', Buffer.from([0, 1, 255])],
+      ['set', new Set(['a', 'b'])],
+      ['nested', [1, 2.5, null, [Buffer.from('x')]]],
+      [Buffer.from('bufferKey'), { field: 'value' }]
+    ]);
+
+    const loaded = await cache.handleCache(null, createParser('HGETALL', 'ser:1'), async () => reply);
+    const hit = await cache.handleCache(null, createParser('HGETALL', 'ser:1'), async () => assert.fail('Should hit'));
+
+    assert.ok(Buffer.isBuffer(cache.cache.values().next().value.value), 'Entry should be stored as a Buffer');
+    for (const value of [loaded, hit]) {
+      assert.deepStrictEqual(value, reply, 'Reply should round-trip unchanged');
+      assert.ok(value instanceof Map, 'Map should stay a Map');
+      assert.ok(Buffer.isBuffer(value.get('buffer')), 'Buffer should stay a Buffer');
+      assert.ok(value.get('set') instanceof Set, 'Set should stay a Set');
+    }
+    assert.notStrictEqual(loaded, hit, 'Each caller should get a fresh object');
+  });
+
+  test('coalesced callers get separate objects', async () => {
+    const cache = new SimpleClientSideCache({ storage: 'serialized' });
+    let resolve;
+    const fn = () => new Promise((r) => { resolve = r; });
+
+    const first = cache.handleCache(null, createParser('LRANGE', 'ser:2'), fn);
+    const second = cache.handleCache(null, createParser('LRANGE', 'ser:2'), fn);
+    resolve(['a', 'b']);
+    const [a, b] = await Promise.all([first, second]);
+
+    assert.deepStrictEqual(a, ['a', 'b']);
+    assert.notStrictEqual(a, b, 'Callers should not share the same array');
+  });
+
+  test('maxBytes accounts for the serialized size', async () => {
+    const cache = new SimpleClientSideCache({ storage: 'serialized', enableStat: true });
+    const objectCache = new SimpleClientSideCache({ enableStat: true });
+    const reply = Array.from({ length: 100 }, (_, i) => `v${i}`);
+
+    await cache.handleCache(null, createParser('LRANGE', 'ser:3'), async () => reply);
+    await objectCache.handleCache(null, createParser('LRANGE', 'ser:3'), async () => reply);
+
+    assert.ok(cache.bytes() > 0, 'Serialized entry should have a size');
+    assert.ok(cache.bytes() < objectCache.bytes(), 'Serialized entry should be smaller than the object form');
+  });
+
+  test('should throw TypeError for invalid storage', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ storage: 'json' }),
+      TypeError,
+      'Should throw TypeError for unknown storage mode'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ storage: 'serialized', clone: 'none' }),
+      TypeError,
+      'Should throw TypeError when combining clone with serialized storage'
+    );
+  });
+});
@@ -0,0 +1,79 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, createDeferredFn } = require('./helpers');
+
+describe('Single-Flight Coalescing Tests', () => {
+  test('concurrent misses share one load', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    const deferred = createDeferredFn();
+
+    const results = Array.from({ length: 5 }, () =>
+      cache.handleCache(null, createParser('GET', 'sf:1'), deferred.fn)
+    );
+    deferred.resolve('value');
+    const values = await Promise.all(results);
+
+    assert.strictEqual(deferred.calls, 1, 'fn() should be called once');
+    assert.deepStrictEqual(values, Array(5).fill('value'), 'Every caller should get the reply');
+    assert.strictEqual(cache.size(), 1, 'Reply should be cached once');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.missCount, 5, 'Every caller should count as miss');
+    assert.strictEqual(stats.coalescedCount, 4, 'Should have 4 coalesced loads');
+    assert.strictEqual(stats.loadSuccessCount, 1, 'Should have 1 successful load');
+  });
+
+  test('shared reply is cloned per caller', async () => {
+    const cache = new SimpleClientSideCache();
+    const deferred = createDeferredFn();
+
+    const first = cache.handleCache(null, createParser('HGETALL', 'sf:2'), deferred.fn);
+    const second = cache.handleCache(null, createParser('HGETALL', 'sf:2'), deferred.fn);
+    deferred.resolve({ name: 'alice' });
+    const [a, b] = await Promise.all([first, second]);
+
+    assert.deepStrictEqual(a, b, 'Callers should get equal replies');
+    assert.notStrictEqual(a, b, 'Callers should not share the same object');
+
+    a.name = 'mutated';
+    const cached = await cache.handleCache(null, createParser('HGETALL', 'sf:2'), deferred.fn);
+    assert.strictEqual(cached.name, 'alice', 'Mutating a reply should not affect the cache');
+  });
+
+  test('failed load rejects every waiter and is not cached', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    const deferred = createDeferredFn();
+
+    const results = Array.from({ length: 3 }, () =>
+      cache.handleCache(null, createParser('GET', 'sf:3'), deferred.fn)
+    );
+    deferred.reject(new Error('load failed'));
+
+    for (const result of results) {
+      await assert.rejects(result, /load failed/);
+    }
+    assert.strictEqual(cache.size(), 0, 'Failed load should not be cached');
+    assert.strictEqual(cache.stats().loadFailureCount, 1, 'Should have 1 failed load');
+
+    // 失败后下一次未命中重新发起加载
+    const retry = cache.handleCache(null, createParser('GET', 'sf:3'), deferred.fn);
+    deferred.resolve('value');
+    assert.strictEqual(await retry, 'value');
+    assert.strictEqual(deferred.calls, 2, 'Retry should start a new load');
+  });
+
+  test('different cacheKeys are loaded independently', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    let calls = 0;
+    const fn = async () => ++calls;
+
+    await Promise.all([
+      cache.handleCache(null, createParser('GET', 'sf:a'), fn),
+      cache.handleCache(null, createParser('GET', 'sf:b'), fn)
+    ]);
+
+    assert.strictEqual(calls, 2, 'Each cacheKey should load separately');
+    assert.strictEqual(cache.stats().coalescedCount, 0, 'Nothing should be coalesced');
+  });
+});
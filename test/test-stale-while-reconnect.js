@@ -0,0 +1,160 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+const fail = async () => {
+  throw new Error('connection lost');
+};
+
+describe('Stale While Reconnect Tests', () => {
+  test('rejects invalid staleWhileReconnect', () => {
+    for (const staleWhileReconnect of [-1, NaN, '100']) {
+      assert.throws(() => new SimpleClientSideCache({ staleWhileReconnect }), TypeError);
+    }
+    assert.strictEqual(new SimpleClientSideCache().staleWhileReconnect, 0);
+  });
+
+  test('onError() still clears the cache by default', async () => {
+    const cache = new SimpleClientSideCache();
+    await cache.handleCache(null, createParser('GET', 'swr:1'), async () => 'v1');
+
+    cache.onError();
+
+    assert.strictEqual(cache.size(), 0);
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'swr:1'), fail), /connection lost/);
+  });
+
+  test('onClose() clears the cache even with staleWhileReconnect', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000 });
+    const evicted = [];
+    cache.on('evict', ({ reason }) => evicted.push(reason));
+    await cache.handleCache(null, createParser('GET', 'swr:close'), async () => 'old');
+    cache.onError();
+
+    cache.onClose();
+
+    assert.strictEqual(cache.size(), 0);
+    assert.deepStrictEqual(evicted, ['close']);
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'swr:close'), fail), /connection lost/);
+
+    await cache.handleCache(null, createParser('GET', 'swr:close'), async () => 'new');
+    assert.strictEqual(cache.size(), 1, 'Loads after close should be cached again');
+  });
+
+  test('serves unverified entries only when the load fails', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000, enableStat: true });
+    await cache.handleCache(null, createParser('GET', 'swr:2'), async () => 'old');
+
+    cache.onError();
+    assert.strictEqual(cache.size(), 1, 'Entries should be kept as unverified');
+
+    const failed = await cache.handleCache(null, createParser('GET', 'swr:2'), fail);
+    assert.strictEqual(failed, 'old', 'A failed load should fall back to the unverified entry');
+
+    let loads = 0;
+    const fresh = await cache.handleCache(null, createParser('GET', 'swr:2'), async () => {
+      loads++;
+      return 'new';
+    });
+    assert.strictEqual(fresh, 'new', 'Unverified entries should not be served as hits');
+    assert.strictEqual(loads, 1);
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.hitCount, 0);
+    assert.strictEqual(stats.staleServedCount, 1);
+    assert.strictEqual(stats.loadFailureCount, 1);
+  });
+
+  test('does not cache loads while unverified', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000 });
+    await cache.handleCache(null, createParser('GET', 'swr:3'), async () => 'old');
+    cache.onError();
+
+    await cache.handleCache(null, createParser('GET', 'swr:3'), async () => 'new');
+    await cache.handleCache(null, createParser('GET', 'swr:4'), async () => 'other');
+
+    // 加载结果没有写入缓存，未确认的旧条目仍是兜底值
+    assert.strictEqual(cache.size(), 1);
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'swr:3'), fail), 'old');
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'swr:4'), fail), /connection lost/);
+  });
+
+  test('coalesced misses share the fallback', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000 });
+    await cache.handleCache(null, createParser('GET', 'swr:5'), async () => 'old');
+    cache.onError();
+
+    const slowFail = async () => {
+      await sleep(10);
+      throw new Error('connection lost');
+    };
+    const results = await Promise.all([
+      cache.handleCache(null, createParser('GET', 'swr:5'), slowFail),
+      cache.handleCache(null, createParser('GET', 'swr:5'), slowFail)
+    ]);
+
+    assert.deepStrictEqual(results, ['old', 'old']);
+  });
+
+  test('fallback values are cloned', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000 });
+    await cache.handleCache(null, createParser('HGETALL', 'swr:6'), async () => ({ a: '1' }));
+    cache.onError();
+
+    const first = await cache.handleCache(null, createParser('HGETALL', 'swr:6'), fail);
+    first.a = 'mutated';
+    const second = await cache.handleCache(null, createParser('HGETALL', 'swr:6'), fail);
+
+    assert.deepStrictEqual(second, { a: '1' });
+  });
+
+  test('drops unverified entries after the max staleness', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 20 });
+    const evicted = [];
+    cache.on('evict', ({ reason }) => evicted.push(reason));
+    await cache.handleCache(null, createParser('GET', 'swr:7'), async () => 'old');
+
+    cache.onError();
+    await sleep(10);
+    cache.onError(); // 重复报错不会重置断线时间
+    await sleep(20);
+
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'swr:7'), fail), /connection lost/);
+    assert.strictEqual(cache.size(), 0);
+    assert.deepStrictEqual(evicted, ['stale']);
+  });
+
+  test('trackingOn() flushes unverified entries and resumes caching', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000 });
+    const evicted = [];
+    cache.on('evict', ({ reason }) => evicted.push(reason));
+    await cache.handleCache(null, createParser('GET', 'swr:8'), async () => 'old');
+
+    cache.onError();
+    cache.trackingOn();
+
+    assert.strictEqual(cache.size(), 0);
+    assert.deepStrictEqual(evicted, ['reconnect']);
+
+    await cache.handleCache(null, createParser('GET', 'swr:8'), async () => 'new');
+    assert.strictEqual(cache.size(), 1, 'Loads should be cached again after reconnecting');
+
+    cache.trackingOn();
+    assert.strictEqual(cache.size(), 1, 'trackingOn() on a verified cache should not flush');
+  });
+
+  test('loads in flight during a disconnect are not cached', async () => {
+    const cache = new SimpleClientSideCache({ staleWhileReconnect: 1000 });
+    const pending = cache.handleCache(null, createParser('GET', 'swr:9'), async () => {
+      await sleep(10);
+      return 'v';
+    });
+
+    cache.onError();
+    cache.trackingOn();
+
+    assert.strictEqual(await pending, 'v');
+    assert.strictEqual(cache.size(), 0);
+  });
+});
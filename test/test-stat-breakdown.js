@@ -0,0 +1,118 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+function read(cache, command, ...keys) {
+  return cache.handleCache(null, createParser(command, ...keys), async () => keys.join(','));
+}
+
+const keyPrefix = (key) => key.split(':')[0];
+
+describe('Statistics Breakdown Tests', () => {
+  test('breaks hits and misses down by command and prefix', async () => {
+    const cache = new SimpleClientSideCache({
+      enableStat: true,
+      statBreakdown: { commands: true, keyPrefix }
+    });
+
+    await read(cache, 'GET', 'user:1');
+    await read(cache, 'GET', 'user:1');
+    await read(cache, 'GET', 'user:1');
+    await read(cache, 'HGETALL', 'session:1');
+    await read(cache, 'MGET', 'user:2', 'session:2');
+
+    const { byCommand, byPrefix } = cache.stats();
+    assert.deepStrictEqual(byCommand.GET, { hitCount: 2, missCount: 1, loadSuccessCount: 1, loadFailureCount: 0, evictionCount: 0 });
+    assert.strictEqual(byCommand.HGETALL.missCount, 1);
+    assert.strictEqual(byCommand.MGET.missCount, 1);
+    assert.strictEqual(byPrefix.user.hitCount, 2);
+    assert.strictEqual(byPrefix.user.missCount, 2, 'MGET should be grouped by its first key');
+    assert.strictEqual(byPrefix.session.missCount, 1);
+  });
+
+  test('counts load failures and evictions per group', async () => {
+    const cache = new SimpleClientSideCache({
+      enableStat: true,
+      maxEntries: 1,
+      statBreakdown: { keyPrefix }
+    });
+
+    await assert.rejects(cache.handleCache(null, createParser('GET', 'user:1'), async () => {
+      throw new Error('load failed');
+    }));
+    await read(cache, 'GET', 'user:2');
+    await read(cache, 'GET', 'session:1'); // 容量淘汰 user:2
+    cache.invalidate(Buffer.from('session:1'));
+
+    const { byPrefix, byCommand } = cache.stats();
+    assert.strictEqual(byPrefix.user.loadFailureCount, 1);
+    assert.strictEqual(byPrefix.user.evictionCount, 1, 'Capacity eviction should be attributed');
+    assert.strictEqual(byPrefix.session.evictionCount, 1, 'Invalidation should be attributed');
+    assert.deepStrictEqual(byCommand, {}, 'Command breakdown should be off');
+  });
+
+  test('global flush counts evictions for every group', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true, statBreakdown: { commands: true } });
+
+    await read(cache, 'GET', 'a');
+    await read(cache, 'GET', 'b');
+    await read(cache, 'SMEMBERS', 'c');
+    cache.invalidate(null);
+
+    const { byCommand } = cache.stats();
+    assert.strictEqual(byCommand.GET.evictionCount, 2);
+    assert.strictEqual(byCommand.SMEMBERS.evictionCount, 1);
+  });
+
+  test('groups beyond maxGroups are merged into __other__', async () => {
+    const cache = new SimpleClientSideCache({
+      enableStat: true,
+      statBreakdown: { keyPrefix: (key) => key, maxGroups: 3 }
+    });
+
+    for (let i = 0; i < 10; i++) {
+      await read(cache, 'GET', `k${i}`);
+    }
+    await read(cache, 'GET', 'k0');
+
+    const { byPrefix } = cache.stats();
+    assert.deepStrictEqual(Object.keys(byPrefix), ['k0', 'k1', 'k2', '__other__']);
+    assert.strictEqual(byPrefix.k0.hitCount, 1, 'Existing groups should keep counting');
+    assert.strictEqual(byPrefix.__other__.missCount, 7);
+  });
+
+  test('keyPrefix returning null leaves the command out', async () => {
+    const cache = new SimpleClientSideCache({
+      enableStat: true,
+      statBreakdown: { keyPrefix: (key) => (key.includes(':') ? key.split(':')[0] : null) }
+    });
+
+    await read(cache, 'GET', 'plain');
+    await read(cache, 'GET', 'user:1');
+
+    assert.deepStrictEqual(Object.keys(cache.stats().byPrefix), ['user']);
+  });
+
+  test('returned breakdown is a copy', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true, statBreakdown: { commands: true } });
+    await read(cache, 'GET', 'a');
+
+    cache.stats().byCommand.GET.missCount = 99;
+
+    assert.strictEqual(cache.stats().byCommand.GET.missCount, 1, 'Mutating stats() should not affect the cache');
+  });
+
+  test('should throw TypeError for invalid statBreakdown', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ enableStat: true, statBreakdown: { keyPrefix: 'user' } }),
+      TypeError,
+      'Should throw TypeError for non-function keyPrefix'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ enableStat: true, statBreakdown: { maxGroups: 0 } }),
+      TypeError,
+      'Should throw TypeError for invalid maxGroups'
+    );
+  });
+});
@@ -0,0 +1,130 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+function read(cache, key) {
+  return cache.handleCache(null, createParser('GET', key), async () => key);
+}
+
+describe('Stats Reset and Delta Tests', () => {
+  test('stats() snapshots carry a timestamp', () => {
+    const before = Date.now();
+    const enabled = new SimpleClientSideCache({ enableStat: true }).stats();
+    const disabled = new SimpleClientSideCache().stats();
+
+    assert.ok(enabled.timestamp >= before && enabled.timestamp <= Date.now());
+    assert.ok(disabled.timestamp >= before, 'Disabled stats should still have a timestamp');
+  });
+
+  test('statsDelta() subtracts counters and keeps gauges', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    await read(cache, 'delta:1');
+    await read(cache, 'delta:1');
+    const previous = cache.stats();
+
+    await sleep(10);
+    await read(cache, 'delta:1');
+    await read(cache, 'delta:2');
+    cache.invalidate(Buffer.from('delta:1'));
+    const delta = cache.statsDelta(previous);
+
+    assert.strictEqual(delta.hitCount, 1);
+    assert.strictEqual(delta.missCount, 1);
+    assert.strictEqual(delta.loadSuccessCount, 1);
+    assert.strictEqual(delta.evictionCount, 1);
+    assert.strictEqual(delta.loadTimeHistogram.counts.reduce((sum, count) => sum + count, 0), 1, 'Histogram should only hold new loads');
+    assert.strictEqual(delta.estimatedBytes, cache.bytes(), 'Gauges should be current values');
+    assert.ok(delta.interval >= 10, `interval should cover the elapsed time, got ${delta.interval}`);
+    assert.strictEqual(delta.interval, delta.timestamp - previous.timestamp);
+  });
+
+  test('statsDelta() accepts the later snapshot for chaining intervals', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    let last = cache.stats();
+    const hits = [];
+
+    await read(cache, 'delta:3');
+    for (let interval = 1; interval <= 3; interval++) {
+      for (let i = 0; i < interval; i++) {
+        await read(cache, 'delta:3');
+      }
+      const current = cache.stats();
+      hits.push(cache.statsDelta(last, current).hitCount);
+      last = current;
+    }
+
+    assert.deepStrictEqual(hits, [1, 2, 3], 'Each interval should only count its own hits');
+  });
+
+  test('statsDelta() subtracts breakdown groups', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true, statBreakdown: { commands: true } });
+    await read(cache, 'delta:4');
+    const previous = cache.stats();
+
+    await read(cache, 'delta:4');
+    await cache.handleCache(null, createParser('HGETALL', 'delta:5'), async () => ({}));
+    const { byCommand } = cache.statsDelta(previous);
+
+    assert.strictEqual(byCommand.GET.hitCount, 1);
+    assert.strictEqual(byCommand.GET.missCount, 0);
+    assert.strictEqual(byCommand.HGETALL.missCount, 1, 'New groups should count from zero');
+  });
+
+  test('resetStats() zeroes counters but keeps entries', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true, statBreakdown: { commands: true } });
+    await read(cache, 'delta:6');
+    await read(cache, 'delta:6');
+
+    cache.resetStats();
+    const stats = cache.stats();
+
+    assert.strictEqual(stats.hitCount, 0);
+    assert.strictEqual(stats.missCount, 0);
+    assert.strictEqual(stats.maxLoadTime, 0);
+    assert.strictEqual(stats.byCommand.GET.hitCount, 0);
+    assert.strictEqual(cache.size(), 1, 'Entries should be kept');
+    assert.strictEqual(stats.estimatedBytes, cache.bytes(), 'Byte gauges should be kept');
+
+    await read(cache, 'delta:6');
+    assert.strictEqual(cache.stats().byCommand.GET.hitCount, 1, 'Existing entries should keep counting into their groups');
+  });
+
+  test('statsDelta() across resetStats() counts from the reset', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    for (let i = 0; i < 5; i++) {
+      await read(cache, 'delta:7');
+    }
+    const previous = cache.stats();
+
+    await sleep(5);
+    cache.resetStats();
+    await read(cache, 'delta:7');
+    const delta = cache.statsDelta(previous);
+
+    assert.strictEqual(delta.hitCount, 1, 'Delta should not go negative after a reset');
+    assert.ok(delta.interval < delta.timestamp - previous.timestamp, 'interval should start at the reset');
+  });
+
+  test('a snapshot taken right after resetStats() is not treated as pre-reset', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    await read(cache, 'delta:8');
+
+    cache.resetStats();
+    for (let i = 0; i < 3; i++) {
+      await read(cache, 'delta:8');
+    }
+    // 与重置在同一毫秒内的快照，只能靠 resetCount 区分
+    const previous = cache.stats();
+    await read(cache, 'delta:8');
+
+    assert.strictEqual(previous.resetCount, 1);
+    assert.strictEqual(cache.statsDelta(previous).hitCount, 1);
+  });
+
+  test('should throw TypeError for invalid snapshot', () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    assert.throws(() => cache.statsDelta(), TypeError, 'Should throw TypeError without snapshot');
+    assert.throws(() => cache.statsDelta({ hitCount: 1 }), TypeError, 'Should throw TypeError without timestamp');
+  });
+});
@@ -0,0 +1,117 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+function read(cache, key) {
+  return cache.handleCache(null, createParser('GET', key), async () => key);
+}
+
+describe('Runtime Statistics Toggle Tests', () => {
+  test('enableStats() starts counting at runtime', async () => {
+    const cache = new SimpleClientSideCache();
+    await read(cache, 'toggle:1');
+
+    cache.enableStats();
+    await read(cache, 'toggle:1');
+    await read(cache, 'toggle:2');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.hitCount, 1, 'Only hits after enabling should count');
+    assert.strictEqual(stats.missCount, 1, 'Miss before enabling should not count');
+    assert.ok(stats.estimatedBytes > 0, 'Entries stored after enabling should be sized');
+    assert.ok(stats.estimatedBytes === cache.bytes());
+  });
+
+  test('enableStats() sizes entries stored while disabled', async () => {
+    const cache = new SimpleClientSideCache();
+    await read(cache, 'toggle:sized:1');
+    await read(cache, 'toggle:sized:2');
+    assert.strictEqual(cache.bytes(), 0, 'Sizes are not estimated while disabled');
+
+    cache.enableStats();
+    const bytes = cache.bytes();
+    assert.ok(bytes > 0, 'Existing entries should be sized');
+    assert.strictEqual(cache.stats().estimatedBytes, bytes);
+
+    cache.invalidate(Buffer.from('toggle:sized:1'));
+    cache.invalidate(Buffer.from('toggle:sized:2'));
+    assert.strictEqual(cache.bytes(), 0, 'Dropping resized entries should bring the total back to zero');
+
+    await read(cache, 'toggle:sized:3');
+    cache.disableStats();
+    assert.strictEqual(cache.bytes(), 0, 'Disabling should stop reporting sizes');
+  });
+
+  test('disableStats() stops counting and keeps counters', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    await read(cache, 'toggle:3');
+    await read(cache, 'toggle:3');
+
+    cache.disableStats();
+    await read(cache, 'toggle:3');
+    await read(cache, 'toggle:4');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.hitCount, 1, 'Counters should be frozen while disabled');
+    assert.strictEqual(stats.missCount, 1);
+
+    cache.enableStats();
+    await read(cache, 'toggle:3');
+    assert.strictEqual(cache.stats().hitCount, 2, 'Counters should resume where they stopped');
+  });
+
+  test('resetStats() before enabling starts from zero', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    await read(cache, 'toggle:5');
+    cache.disableStats();
+
+    cache.resetStats();
+    cache.enableStats();
+    await read(cache, 'toggle:5');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.hitCount, 1);
+    assert.strictEqual(stats.missCount, 0);
+  });
+
+  test('byte estimate stays consistent across toggles', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    await read(cache, 'toggle:6');
+    cache.disableStats();
+    await read(cache, 'toggle:7');
+    cache.enableStats();
+
+    cache.invalidate(Buffer.from('toggle:6'));
+    cache.invalidate(Buffer.from('toggle:7'));
+
+    assert.strictEqual(cache.size(), 0);
+    assert.strictEqual(cache.bytes(), 0, 'Removing entries sized in either state should return to 0');
+  });
+
+  test('statBreakdown is collected only while stats are enabled', async () => {
+    const cache = new SimpleClientSideCache({ statBreakdown: { commands: true } });
+    await read(cache, 'toggle:8');
+    assert.deepStrictEqual(cache.stats().byCommand, {}, 'Breakdown should be off while stats are disabled');
+
+    cache.enableStats();
+    await read(cache, 'toggle:9');
+    await read(cache, 'toggle:9');
+
+    assert.deepStrictEqual(cache.stats().byCommand.GET, {
+      hitCount: 1, missCount: 1, loadSuccessCount: 1, loadFailureCount: 0, evictionCount: 0
+    });
+  });
+
+  test('toggling twice is a no-op', async () => {
+    const cache = new SimpleClientSideCache();
+    cache.enableStats();
+    await read(cache, 'toggle:10');
+    cache.enableStats();
+
+    assert.strictEqual(cache.stats().missCount, 1, 'Second enableStats() should not reset counters');
+    cache.disableStats();
+    cache.disableStats();
+    assert.strictEqual(cache.stats().missCount, 1);
+  });
+});
@@ -232,7 +232,8 @@ describe('Statistics Feature Tests', () => {
       const stats2 = cache.stats();
       
       assert.notStrictEqual(stats1, stats2, 'stats() should return different objects');
-      assert.deepStrictEqual(stats1, stats2, 'stats() should return equal values');
+      // timestamp 是取快照的时间，两次调用可能跨毫秒，只比较统计值
+      assert.deepStrictEqual({ ...stats1, timestamp: 0 }, { ...stats2, timestamp: 0 }, 'stats() should return equal values');
       
       // Modify stats1
       stats1.hitCount = 999;
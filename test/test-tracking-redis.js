@@ -0,0 +1,152 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const redis = require('redis');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { sleep } = require('./helpers');
+
+// worker 使用缓存，master 模拟其他服务的写入
+async function connectClients(cache) {
+  const worker = redis.createClient({
+    socket: { host: 'localhost', port: 6379 },
+    RESP: 3,
+    clientSideCache: cache
+  });
+  const master = redis.createClient({
+    socket: { host: 'localhost', port: 6379 }
+  });
+  await worker.connect();
+  await master.connect();
+  return { worker, master };
+}
+
+describe('Tracking Modes Against Redis', () => {
+  test('bcast: caches keys under the prefixes and receives broadcast invalidations', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'bcast', prefixes: ['bc:'] } });
+    const { worker, master } = await connectClients(cache);
+    const invalidated = [];
+    cache.on('invalidate', (key) => invalidated.push(key?.toString()));
+
+    try {
+      await master.set('bc:1', 'v1');
+      await master.set('other:1', 'v1');
+
+      assert.strictEqual(await worker.get('bc:1'), 'v1');
+      assert.strictEqual(await worker.get('other:1'), 'v1');
+      assert.strictEqual(cache.size(), 1, 'Keys outside the prefixes should not be cached');
+
+      await master.set('bc:1', 'v2');
+      await master.set('bc:never-read', 'v1');
+      await sleep(100);
+
+      assert.strictEqual(cache.size(), 0, 'Write should invalidate the cached key');
+      assert.ok(invalidated.includes('bc:never-read'), 'BCAST should push keys this client never read');
+      assert.strictEqual(await worker.get('bc:1'), 'v2');
+    } finally {
+      await master.del(['bc:1', 'bc:never-read', 'other:1']);
+      await worker.quit();
+      await master.quit();
+    }
+  });
+
+  test('optin: CLIENT CACHING yes applies to the opted-in read, even among concurrent reads', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+    const { worker, master } = await connectClients(cache);
+    const keys = ['oi:a', 'oi:b', 'oi:c'];
+
+    try {
+      for (const key of keys) {
+        await master.set(key, 'v1');
+      }
+
+      // 交错发出: 若 CLIENT CACHING yes 错配到 oi:b，oi:a/oi:c 会被缓存却未被跟踪
+      const values = await Promise.all([
+        cache.optIn(() => worker.get('oi:a')),
+        worker.get('oi:b'),
+        cache.optIn(() => worker.get('oi:c'))
+      ]);
+      assert.deepStrictEqual(values, ['v1', 'v1', 'v1']);
+      assert.strictEqual(cache.size(), 2, 'Only opted-in reads should be cached');
+
+      for (const key of keys) {
+        await master.set(key, 'v2');
+      }
+      await sleep(100);
+
+      assert.strictEqual(cache.size(), 0, 'Opted-in keys should be tracked by Redis');
+      assert.strictEqual(await cache.optIn(() => worker.get('oi:a')), 'v2');
+      assert.strictEqual(await cache.optIn(() => worker.get('oi:c')), 'v2');
+    } finally {
+      await master.del(keys);
+      await worker.quit();
+      await master.quit();
+    }
+  });
+
+  test('optout: reads are tracked unless opted out', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optout' } });
+    const { worker, master } = await connectClients(cache);
+    const keys = ['oo:tracked', 'oo:skipped'];
+
+    try {
+      for (const key of keys) {
+        await master.set(key, 'v1');
+      }
+
+      const values = await Promise.all([
+        worker.get('oo:tracked'),
+        cache.optOut(() => worker.get('oo:skipped'))
+      ]);
+      assert.deepStrictEqual(values, ['v1', 'v1']);
+      assert.strictEqual(cache.size(), 1, 'Opted-out reads should not be cached');
+
+      await master.set('oo:skipped', 'v2');
+      assert.strictEqual(await cache.optOut(() => worker.get('oo:skipped')), 'v2');
+
+      await master.set('oo:tracked', 'v2');
+      await sleep(100);
+
+      assert.strictEqual(cache.size(), 0, 'Default reads should be tracked by Redis');
+      assert.strictEqual(await worker.get('oo:tracked'), 'v2');
+    } finally {
+      await master.del(keys);
+      await worker.quit();
+      await master.quit();
+    }
+  });
+
+  test('noLoop + writeThrough: own writes, including MULTI, drop the local entry', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { noLoop: true }, writeThrough: true });
+    const { worker, master } = await connectClients(cache);
+    const keys = ['wt:set', 'wt:multi', 'wt:other'];
+
+    try {
+      for (const key of keys) {
+        await master.set(key, 'v1');
+      }
+      for (const key of keys) {
+        assert.strictEqual(await worker.get(key), 'v1');
+      }
+      assert.strictEqual(cache.size(), 3);
+
+      // NOLOOP 下 Redis 不会为自己的写发送失效通知，只能靠 writeThrough 删除
+      await worker.set('wt:set', 'v2');
+      await worker.multi().set('wt:multi', 'v2').incr('wt:counter').exec();
+      assert.strictEqual(cache.size(), 1, 'Own writes should drop entries before the reply');
+      assert.strictEqual(await worker.get('wt:set'), 'v2');
+      assert.strictEqual(await worker.get('wt:multi'), 'v2');
+
+      // 其他客户端的写仍然会推送失效
+      await master.set('wt:other', 'v2');
+      await sleep(100);
+      assert.strictEqual(await worker.get('wt:other'), 'v2');
+    } finally {
+      await master.del([...keys, 'wt:counter']);
+      await worker.quit();
+      await master.quit();
+    }
+  });
+
+  test('noLoop without writeThrough is rejected', () => {
+    assert.throws(() => new SimpleClientSideCache({ tracking: { noLoop: true } }), TypeError);
+  });
+});
@@ -0,0 +1,206 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser } = require('./helpers');
+
+// 记录 sendCommand 调用顺序的假客户端
+function createClient(sent, reply = Promise.resolve('OK')) {
+  return {
+    sendCommand(args) {
+      sent.push(args.join(' '));
+      return reply;
+    }
+  };
+}
+
+describe('Tracking Mode Tests', () => {
+  test('default mode enables plain tracking', () => {
+    const cache = new SimpleClientSideCache();
+
+    assert.deepStrictEqual(cache.trackingOn(), ['CLIENT', 'TRACKING', 'ON']);
+    assert.deepStrictEqual(cache.tracking, { mode: 'default', prefixes: [], noLoop: false });
+  });
+
+  test('bcast mode adds BCAST and PREFIX arguments', () => {
+    const cache = new SimpleClientSideCache({
+      tracking: { mode: 'bcast', prefixes: ['user:', 'config:'] }
+    });
+
+    assert.deepStrictEqual(
+      cache.trackingOn(),
+      ['CLIENT', 'TRACKING', 'ON', 'BCAST', 'PREFIX', 'user:', 'PREFIX', 'config:']
+    );
+  });
+
+  test('bcast mode without prefixes tracks every key', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'bcast' } });
+
+    assert.deepStrictEqual(cache.trackingOn(), ['CLIENT', 'TRACKING', 'ON', 'BCAST']);
+
+    await cache.handleCache(null, createParser('GET', 'anything'), async () => 'value');
+    assert.strictEqual(cache.size(), 1, 'Every key should be cacheable');
+  });
+
+  test('bcast mode only caches keys inside the prefixes', async () => {
+    const cache = new SimpleClientSideCache({
+      tracking: { mode: 'bcast', prefixes: ['user:'] }
+    });
+    let calls = 0;
+    const fn = async () => `value${++calls}`;
+
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'user:1'), fn), 'value1');
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'user:1'), fn), 'value1', 'Should hit');
+
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'session:1'), fn), 'value2');
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'session:1'), fn), 'value3', 'Should bypass');
+
+    await cache.handleCache(null, createParser('MGET', 'user:2', 'session:2'), fn);
+    assert.strictEqual(cache.size(), 1, 'Only user:1 should be cached');
+    assert.ok(!cache.keyToCacheKeys.has('session:1'), 'Bypassed key should not be indexed');
+  });
+
+  test('bypassed reads still apply transformReply', async () => {
+    const cache = new SimpleClientSideCache({
+      tracking: { mode: 'bcast', prefixes: ['user:'] }
+    });
+
+    const value = await cache.handleCache(
+      null,
+      createParser('GET', 'session:1'),
+      async () => 'raw',
+      (reply) => reply.toUpperCase()
+    );
+
+    assert.strictEqual(value, 'RAW');
+  });
+
+  test('optin mode adds OPTIN argument', () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+
+    assert.deepStrictEqual(cache.trackingOn(), ['CLIENT', 'TRACKING', 'ON', 'OPTIN']);
+  });
+
+  test('optin mode sends CLIENT CACHING yes right before opted-in reads', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+    const sent = [];
+    const client = createClient(sent);
+    const fn = async () => {
+      sent.push('GET config:app');
+      return 'value';
+    };
+
+    const value = await cache.optIn(() => cache.handleCache(client, createParser('GET', 'config:app'), fn));
+    assert.strictEqual(value, 'value');
+    assert.deepStrictEqual(sent, ['CLIENT CACHING YES', 'GET config:app']);
+    assert.strictEqual(cache.size(), 1, 'Opted-in read should be cached');
+
+    await cache.optIn(() => cache.handleCache(client, createParser('GET', 'config:app'), fn));
+    assert.strictEqual(sent.length, 2, 'Cache hit should not contact Redis');
+  });
+
+  test('optin mode does not cache reads outside optIn()', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+    const sent = [];
+    const client = createClient(sent);
+
+    await cache.handleCache(client, createParser('GET', 'user:1'), async () => 'value');
+
+    assert.deepStrictEqual(sent, [], 'CLIENT CACHING should not be sent');
+    assert.strictEqual(cache.size(), 0, 'Read should not be cached');
+  });
+
+  test('optin mode does not cache replies when CLIENT CACHING fails', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+    const client = createClient([], Promise.reject(new Error('ERR')));
+
+    const value = await cache.optIn(() =>
+      cache.handleCache(client, createParser('GET', 'config:app'), async () => 'value')
+    );
+
+    assert.strictEqual(value, 'value', 'Reply should still be returned');
+    assert.strictEqual(cache.size(), 0, 'Untracked reply should not be cached');
+  });
+
+  test('optIn() requires optin mode', () => {
+    const cache = new SimpleClientSideCache();
+
+    assert.throws(() => cache.optIn(() => {}), /optin/);
+  });
+
+  test('optout mode adds OPTOUT argument', () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optout' } });
+
+    assert.deepStrictEqual(cache.trackingOn(), ['CLIENT', 'TRACKING', 'ON', 'OPTOUT']);
+  });
+
+  test('optout mode caches reads by default', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optout' } });
+    const sent = [];
+
+    await cache.handleCache(createClient(sent), createParser('GET', 'user:1'), async () => 'value');
+
+    assert.deepStrictEqual(sent, [], 'CLIENT CACHING should not be sent');
+    assert.strictEqual(cache.size(), 1, 'Read should be cached');
+  });
+
+  test('optout mode sends CLIENT CACHING no and skips storage for opted-out reads', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optout' } });
+    const sent = [];
+    const client = createClient(sent);
+    let calls = 0;
+    const fn = async () => {
+      sent.push('GET counter:hits');
+      return ++calls;
+    };
+
+    assert.strictEqual(await cache.optOut(() => cache.handleCache(client, createParser('GET', 'counter:hits'), fn)), 1);
+    assert.strictEqual(await cache.optOut(() => cache.handleCache(client, createParser('GET', 'counter:hits'), fn)), 2);
+
+    assert.deepStrictEqual(sent, [
+      'CLIENT CACHING NO', 'GET counter:hits',
+      'CLIENT CACHING NO', 'GET counter:hits'
+    ]);
+    assert.strictEqual(cache.size(), 0, 'Opted-out reads should not be cached');
+  });
+
+  test('optOut() requires optout mode', () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+
+    assert.throws(() => cache.optOut(() => {}), /optout/);
+  });
+
+  test('noLoop adds NOLOOP argument', () => {
+    const cache = new SimpleClientSideCache({
+      tracking: { mode: 'bcast', prefixes: ['user:'], noLoop: true },
+      writeThrough: true
+    });
+
+    assert.deepStrictEqual(
+      cache.trackingOn(),
+      ['CLIENT', 'TRACKING', 'ON', 'BCAST', 'PREFIX', 'user:', 'NOLOOP']
+    );
+  });
+
+  test('should throw TypeError for invalid tracking options', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ tracking: { mode: 'unknown' } }),
+      TypeError,
+      'Should throw TypeError for unknown mode'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ tracking: { mode: 'bcast', prefixes: 'user:' } }),
+      TypeError,
+      'Should throw TypeError for non-array prefixes'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ tracking: { prefixes: ['user:'] } }),
+      TypeError,
+      'Should throw TypeError for prefixes outside bcast mode'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ tracking: { noLoop: 'yes' } }),
+      TypeError,
+      'Should throw TypeError for non-boolean noLoop'
+    );
+  });
+});
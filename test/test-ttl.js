@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+describe('TTL Expiration Tests', () => {
+  test('entries never expire by default', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    let loads = 0;
+    const fn = async () => ++loads;
+
+    await cache.handleCache(null, createParser('GET', 'ttl:1'), fn);
+    await sleep(20);
+    await cache.handleCache(null, createParser('GET', 'ttl:1'), fn);
+
+    assert.strictEqual(loads, 1, 'Second read should hit the cache');
+    assert.strictEqual(cache.stats().expirationCount, 0, 'Nothing should expire');
+  });
+
+  test('expired entry is reloaded and counted as expiration', async () => {
+    const cache = new SimpleClientSideCache({ ttl: 10, enableStat: true });
+    let loads = 0;
+    const fn = async () => ++loads;
+
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'ttl:2'), fn), 1);
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'ttl:2'), fn), 1, 'Should hit before ttl');
+
+    await sleep(20);
+
+    assert.strictEqual(await cache.handleCache(null, createParser('GET', 'ttl:2'), fn), 2, 'Should reload after ttl');
+
+    const stats = cache.stats();
+    assert.strictEqual(stats.expirationCount, 1, 'Should have 1 expiration');
+    assert.strictEqual(stats.evictionCount, 0, 'Expiration should not count as eviction');
+    assert.strictEqual(stats.missCount, 2, 'Expired read should count as miss');
+  });
+
+  test('expiration cleans keyToCacheKeys for multi-key entries', async () => {
+    const cache = new SimpleClientSideCache({ ttl: 10 });
+
+    await cache.handleCache(null, createParser('MGET', 'ttl:a', 'ttl:b'), async () => ['a', 'b']);
+    await sleep(20);
+    await cache.handleCache(null, createParser('MGET', 'ttl:a', 'ttl:b'), async () => {
+      // 过期条目在查找时已被清理
+      assert.strictEqual(cache.size(), 0, 'Expired entry should be removed');
+      assert.strictEqual(cache.keyToCacheKeys.size, 0, 'Reverse index should be empty after expiration');
+      return ['a', 'b'];
+    });
+
+    assert.strictEqual(cache.size(), 1, 'Reloaded entry should be cached');
+    assert.strictEqual(cache.keyToCacheKeys.get('ttl:b').size, 1, 'ttl:b should map to the reloaded entry only');
+  });
+
+  test('storing an entry reclaims expired entries that are never read again', async () => {
+    const cache = new SimpleClientSideCache({ ttl: 10, enableStat: true });
+    const evicted = [];
+    cache.on('evict', ({ keys, reason }) => evicted.push([keys[0], reason]));
+
+    for (let i = 0; i < 5; i++) {
+      await cache.handleCache(null, createParser('GET', `ttl:old:${i}`), async () => i);
+    }
+    await sleep(20);
+    await cache.handleCache(null, createParser('GET', 'ttl:new'), async () => 'new');
+
+    assert.strictEqual(cache.size(), 1, 'Expired entries should be swept');
+    assert.deepStrictEqual([...cache.keyToCacheKeys.keys()], ['ttl:new']);
+    assert.strictEqual(cache.stats().expirationCount, 5);
+    assert.deepStrictEqual(evicted.map(([, reason]) => reason), ['ttl', 'ttl', 'ttl', 'ttl', 'ttl']);
+  });
+
+  test('the sweep checks a bounded number of entries per store', async () => {
+    const cache = new SimpleClientSideCache({ ttl: 10 });
+
+    for (let i = 0; i < 20; i++) {
+      await cache.handleCache(null, createParser('GET', `ttl:old:${i}`), async () => i);
+    }
+    await sleep(20);
+    await cache.handleCache(null, createParser('GET', 'ttl:new:1'), async () => 'new');
+    assert.strictEqual(cache.size(), 13, 'Only the 8 least recently used entries are checked');
+
+    await cache.handleCache(null, createParser('GET', 'ttl:new:2'), async () => 'new');
+    await cache.handleCache(null, createParser('GET', 'ttl:new:3'), async () => 'new');
+    assert.strictEqual(cache.size(), 3, 'Later stores keep reclaiming expired entries');
+  });
+
+  test('should throw TypeError for invalid ttl', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ ttl: -1 }),
+      TypeError,
+      'Should throw TypeError for negative ttl'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ ttl: '1000' }),
+      TypeError,
+      'Should throw TypeError for non-number ttl'
+    );
+  });
+});
@@ -0,0 +1,191 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache, CircuitOpenError } = require('../src/simple-cache');
+const { createParser, sleep } = require('./helpers');
+
+// 最小客户端: get() 经过 handleCache，sendCommand() 直接读 data，commands 记录发往 Redis 的命令
+function createClient(cache, data, { delay = 0, fail = false } = {}) {
+  const client = {
+    commands: [],
+    inFlight: 0,
+    maxInFlight: 0,
+    async sendCommand(args) {
+      client.commands.push(args);
+      if (args[0] !== 'MGET') {
+        return 'OK';
+      }
+      client.inFlight++;
+      client.maxInFlight = Math.max(client.maxInFlight, client.inFlight);
+      await sleep(delay);
+      client.inFlight--;
+      if (fail) {
+        throw new Error('ECONNREFUSED');
+      }
+      return args.slice(1).map((key) => data[key] ?? null);
+    },
+    get(key) {
+      return cache.handleCache(client, createParser('GET', key), () => client.sendCommand(['GET', key]).then(() => data[key] ?? null));
+    }
+  };
+  return client;
+}
+
+const data = { 'w:1': 'a', 'w:2': 'b', 'w:3': 'c', 'w:4': 'd', 'w:5': 'e' };
+
+describe('Cache Warmup Tests', () => {
+  test('rejects invalid arguments', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient(cache, data);
+
+    await assert.rejects(cache.warm(client, 'w:1'), TypeError);
+    await assert.rejects(cache.warm(client, [], { concurrency: 0 }), TypeError);
+    await assert.rejects(cache.warm(client, [], { batchSize: 1.5 }), TypeError);
+    await assert.rejects(cache.warm(client, [], { onProgress: 'log' }), TypeError);
+  });
+
+  test('warms keys with individual GETs', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient(cache, data);
+
+    const result = await cache.warm(client, ['w:1', 'w:2', 'w:3']);
+
+    assert.deepStrictEqual(result, { total: 3, loaded: 3, skipped: 0, failed: 0 });
+    assert.strictEqual(cache.size(), 3);
+    assert.strictEqual(await client.get('w:2'), 'b');
+    assert.strictEqual(client.commands.length, 3, 'Warmed keys should be served from the cache');
+  });
+
+  test('batches keys into MGET and stores GET entries', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient(cache, data);
+
+    const result = await cache.warm(client, Object.keys(data), { batchSize: 2 });
+
+    assert.deepStrictEqual(result, { total: 5, loaded: 5, skipped: 0, failed: 0 });
+    assert.deepStrictEqual(client.commands, [['MGET', 'w:1', 'w:2'], ['MGET', 'w:3', 'w:4'], ['MGET', 'w:5']]);
+    assert.strictEqual(await client.get('w:4'), 'd');
+    assert.strictEqual(client.commands.length, 3, 'GET should hit the warmed entry');
+  });
+
+  test('warmed entries are indexed and invalidated like normal reads', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient(cache, data);
+
+    await cache.warm(client, ['w:1', 'w:2'], { batchSize: 10 });
+    assert.deepStrictEqual([...cache.keyToCacheKeys.keys()], ['w:1', 'w:2']);
+
+    cache.invalidate(Buffer.from('w:1'));
+
+    assert.strictEqual(cache.size(), 1);
+    assert.ok(!cache.keyToCacheKeys.has('w:1'));
+  });
+
+  test('keys invalidated during the MGET are not stored', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient(cache, data, { delay: 10 });
+
+    const warming = cache.warm(client, ['w:1', 'w:2'], { batchSize: 2 });
+    await sleep(1);
+    cache.invalidate(Buffer.from('w:1'));
+    await warming;
+
+    assert.deepStrictEqual([...cache.keyToCacheKeys.keys()], ['w:2']);
+  });
+
+  test('concurrent GET misses share the MGET', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    const client = createClient(cache, data, { delay: 10 });
+
+    const warming = cache.warm(client, ['w:1', 'w:2'], { batchSize: 2 });
+    const value = await client.get('w:2');
+    await warming;
+
+    assert.strictEqual(value, 'b');
+    assert.deepStrictEqual(client.commands, [['MGET', 'w:1', 'w:2']]);
+    assert.strictEqual(cache.stats().coalescedCount, 1);
+  });
+
+  test('skips cached and non-cacheable keys', async () => {
+    const cache = new SimpleClientSideCache({ keyFilter: { exclude: ['w:5'] } });
+    const client = createClient(cache, data);
+    await client.get('w:1');
+
+    const result = await cache.warm(client, ['w:1', 'w:2', 'w:5'], { batchSize: 3 });
+
+    assert.deepStrictEqual(result, { total: 3, loaded: 1, skipped: 2, failed: 0 });
+    assert.deepStrictEqual(client.commands.at(-1), ['MGET', 'w:2']);
+  });
+
+  test('limits concurrency', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient(cache, data, { delay: 5 });
+
+    await cache.warm(client, Object.keys(data), { batchSize: 2, concurrency: 2 });
+
+    assert.strictEqual(client.maxInFlight, 2);
+  });
+
+  test('stops at maxEntries instead of evicting', async () => {
+    const cache = new SimpleClientSideCache({ maxEntries: 2, enableStat: true });
+    const client = createClient(cache, data);
+
+    const result = await cache.warm(client, Object.keys(data), { concurrency: 1 });
+
+    assert.deepStrictEqual(result, { total: 5, loaded: 2, skipped: 3, failed: 0 });
+    assert.strictEqual(cache.stats().evictionCount, 0);
+  });
+
+  test('reports progress and counts failed batches', async () => {
+    const cache = new SimpleClientSideCache({ enableStat: true });
+    const client = createClient(cache, data, { fail: true });
+    const progress = [];
+
+    const result = await cache.warm(client, ['w:1', 'w:2', 'w:3'], {
+      batchSize: 2,
+      concurrency: 1,
+      onProgress: (update) => progress.push(update)
+    });
+
+    assert.deepStrictEqual(result, { total: 3, loaded: 0, skipped: 0, failed: 3 });
+    assert.deepStrictEqual(progress.map(({ failed }) => failed), [2, 3]);
+    assert.strictEqual(cache.stats().loadFailureCount, 2, 'Each MGET counts as one load');
+    assert.strictEqual(cache.size(), 0);
+  });
+
+  test('aborts via AbortSignal', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient(cache, data, { delay: 5 });
+    const controller = new AbortController();
+
+    const warming = cache.warm(client, Object.keys(data), {
+      concurrency: 1,
+      signal: controller.signal,
+      onProgress: () => controller.abort(new Error('stopped'))
+    });
+
+    await assert.rejects(warming, /stopped/);
+    assert.strictEqual(cache.size(), 1, 'In-flight reads finish, no new reads start');
+    await assert.rejects(cache.warm(client, ['w:1'], { signal: controller.signal }), /stopped/);
+  });
+
+  test('opts reads in for optin tracking', async () => {
+    const cache = new SimpleClientSideCache({ tracking: { mode: 'optin' } });
+    const client = createClient(cache, data);
+
+    await cache.warm(client, ['w:1', 'w:2'], { batchSize: 2 });
+
+    assert.deepStrictEqual(client.commands, [['CLIENT', 'CACHING', 'YES'], ['MGET', 'w:1', 'w:2']]);
+    assert.strictEqual(cache.size(), 2);
+  });
+
+  test('an open circuit fails batches fast', async () => {
+    const cache = new SimpleClientSideCache({ circuitBreaker: { threshold: 1 } });
+    const client = createClient(cache, data, { fail: true });
+
+    const result = await cache.warm(client, ['w:1', 'w:2', 'w:3'], { concurrency: 1, batchSize: 2 });
+
+    assert.strictEqual(result.failed, 3);
+    assert.strictEqual(client.commands.length, 1);
+    await assert.rejects(cache.handleCache(client, createParser('GET', 'w:9'), async () => 'v'), CircuitOpenError);
+  });
+});
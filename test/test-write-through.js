@@ -0,0 +1,197 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { SimpleClientSideCache } = require('../src/simple-cache');
+
+// 模拟 node-redis 客户端: 内存里的 key/value，sendCommand 同步记录命令，
+// _executeMulti/_executePipeline 和 node-redis 一样绕过 sendCommand
+function createClient() {
+  const data = new Map();
+  const execute = (args) => {
+    const [command, ...rest] = args;
+    switch (command) {
+      case 'GET':
+        return data.get(rest[0]) ?? null;
+      case 'MGET':
+        return rest.map((key) => data.get(key) ?? null);
+      case 'SET':
+        data.set(rest[0], rest[1]);
+        return 'OK';
+      case 'DEL':
+        rest.forEach((key) => data.delete(key));
+        return rest.length;
+      default:
+        return 'OK';
+    }
+  };
+  const client = {
+    sent: [],
+    data,
+    sendCommand(args) {
+      client.sent.push(args.map((arg) => (Buffer.isBuffer(arg) ? `<${arg.length} bytes>` : arg)).join(' '));
+      return Promise.resolve(execute(args));
+    },
+    _executeMulti(commands) {
+      return Promise.resolve(commands.map(({ args }) => execute(args)));
+    },
+    _executePipeline(commands) {
+      return Promise.resolve(commands.map(({ args }) => execute(args)));
+    }
+  };
+  return client;
+}
+
+// 模拟 node-redis 对可缓存命令调用 handleCache 的方式
+function read(cache, client, command, ...keys) {
+  const parser = { redisArgs: [command, ...keys], keys, preserve: undefined };
+  return cache.handleCache(client, parser, () => client.sendCommand(parser.redisArgs));
+}
+
+describe('Write-Through Tests', () => {
+  test('disabled by default - own writes leave entries cached', async () => {
+    const cache = new SimpleClientSideCache();
+    const client = createClient();
+    client.data.set('wt:1', 'v1');
+
+    await read(cache, client, 'GET', 'wt:1');
+    await client.sendCommand(['SET', 'wt:1', 'v2']);
+
+    assert.strictEqual(await read(cache, client, 'GET', 'wt:1'), 'v1', 'Without write-through the entry waits for invalidation');
+  });
+
+  test('own writes drop entries and keep keyToCacheKeys consistent', async () => {
+    const cache = new SimpleClientSideCache({ writeThrough: true, enableStat: true });
+    const client = createClient();
+    client.data.set('wt:a', 'a1');
+    client.data.set('wt:b', 'b1');
+
+    await read(cache, client, 'GET', 'wt:a');
+    await read(cache, client, 'GET', 'wt:b');
+    await read(cache, client, 'MGET', 'wt:a', 'wt:b');
+    assert.strictEqual(cache.size(), 3);
+
+    await client.sendCommand(['DEL', 'wt:a']);
+
+    assert.strictEqual(cache.size(), 1, 'GET wt:a and MGET should be dropped');
+    assert.ok(!cache.keyToCacheKeys.has('wt:a'), 'wt:a should leave the reverse index');
+    assert.strictEqual(cache.keyToCacheKeys.get('wt:b').size, 1, 'wt:b should only map to GET');
+    assert.strictEqual(cache.stats().evictionCount, 2, 'Dropped entries should count as evictions');
+    assert.deepStrictEqual(await read(cache, client, 'MGET', 'wt:a', 'wt:b'), [null, 'b1']);
+  });
+
+  test('own reads do not drop entries', async () => {
+    const cache = new SimpleClientSideCache({ writeThrough: true });
+    const client = createClient();
+    client.data.set('wt:r', 'value');
+
+    await read(cache, client, 'GET', 'wt:r');
+    await read(cache, client, 'MGET', 'wt:r', 'wt:other');
+
+    assert.strictEqual(cache.size(), 2, 'Loading MGET should not drop GET wt:r');
+  });
+
+  test('default mode drops instead of updating on SET', async () => {
+    const cache = new SimpleClientSideCache({ writeThrough: true, tracking: { noLoop: true } });
+    const client = createClient();
+    client.data.set('wt:s', 'old');
+
+    await read(cache, client, 'GET', 'wt:s');
+    await client.sendCommand(['SET', 'wt:s', 'new']);
+
+    assert.strictEqual(cache.size(), 0, 'Key is no longer tracked after own write, entry must not be refreshed');
+    assert.strictEqual(await read(cache, client, 'GET', 'wt:s'), 'new');
+  });
+
+  test('bcast mode updates cached GET on plain SET', async () => {
+    const cache = new SimpleClientSideCache({
+      writeThrough: true,
+      tracking: { mode: 'bcast', prefixes: ['wt:'], noLoop: true }
+    });
+    const client = createClient();
+    client.data.set('wt:u', 'old');
+
+    await read(cache, client, 'GET', 'wt:u');
+    await read(cache, client, 'MGET', 'wt:u', 'wt:v');
+    const sentBefore = client.sent.length;
+
+    await client.sendCommand(['SET', 'wt:u', 'new']);
+
+    assert.strictEqual(await read(cache, client, 'GET', 'wt:u'), 'new', 'Should read own write from cache');
+    assert.strictEqual(client.sent.length, sentBefore + 1, 'Updated entry should be a cache hit');
+    assert.strictEqual(cache.keyToCacheKeys.get('wt:u').size, 1, 'MGET entry should be dropped, GET kept');
+  });
+
+  test('own write during an in-flight load discards the loaded reply', async () => {
+    const cache = new SimpleClientSideCache({ writeThrough: true });
+    const client = createClient();
+    client.data.set('wt:p', 'old');
+
+    const loading = read(cache, client, 'GET', 'wt:p');
+    client.sendCommand(['SET', 'wt:p', 'new']);
+    await loading;
+
+    assert.strictEqual(cache.size(), 0, 'Reply racing with own write should not be cached');
+  });
+
+  test('writes inside MULTI and pipelines drop entries', async () => {
+    const cache = new SimpleClientSideCache({
+      writeThrough: true,
+      tracking: { mode: 'bcast', prefixes: ['wt:'], noLoop: true }
+    });
+    const client = createClient();
+    client.data.set('wt:m', 'old');
+    client.data.set('wt:n', 'old');
+
+    await read(cache, client, 'GET', 'wt:m');
+    await read(cache, client, 'GET', 'wt:n');
+    await client._executeMulti([{ args: ['SET', 'wt:m', 'new'] }]);
+    await client._executePipeline([{ args: ['DEL', 'wt:n'] }]);
+
+    assert.strictEqual(cache.size(), 0, 'Transaction writes should drop entries, not update them');
+    assert.strictEqual(await read(cache, client, 'GET', 'wt:m'), 'new');
+  });
+
+  test('read-only and other non-write commands leave entries alone', async () => {
+    const cache = new SimpleClientSideCache({ writeThrough: true, tracking: { noLoop: true } });
+    const client = createClient();
+    client.data.set('wt:r', 'v1');
+    await read(cache, client, 'GET', 'wt:r');
+
+    await client.sendCommand(['TTL', 'wt:r']);
+    await client.sendCommand(['OBJECT', 'ENCODING', 'wt:r']);
+    // withTypeMapping() 的读不经过 handleCache，直接走 sendCommand
+    await client.sendCommand(['GET', 'wt:r']);
+    await client.sendCommand(['PUBLISH', 'channel', 'wt:r']);
+    await client._executePipeline([{ args: ['PTTL', 'wt:r'] }, { args: [Buffer.from('dump'), 'wt:r'] }]);
+
+    assert.strictEqual(cache.size(), 1, 'Only write commands should drop entries');
+
+    await client.sendCommand(['eval', 'return redis.call("DEL", KEYS[1])', '1', 'wt:r']);
+    assert.strictEqual(cache.size(), 0, 'Scripts may write the keys they are given');
+  });
+
+  test('large value arguments are not converted to strings', async () => {
+    const cache = new SimpleClientSideCache({ writeThrough: true });
+    const client = createClient();
+    client.data.set('wt:big', 'old');
+    await read(cache, client, 'GET', 'wt:big');
+
+    const value = Buffer.alloc(1024);
+    value.toString = () => assert.fail('Value argument should not be converted');
+    await client.sendCommand(['SET', 'wt:big', value]);
+
+    assert.strictEqual(cache.size(), 0);
+  });
+
+  test('should throw TypeError for invalid writeThrough', () => {
+    assert.throws(
+      () => new SimpleClientSideCache({ writeThrough: 'yes' }),
+      TypeError,
+      'Should throw TypeError for non-boolean writeThrough'
+    );
+    assert.throws(
+      () => new SimpleClientSideCache({ tracking: { noLoop: true } }),
+      /noLoop requires writeThrough/,
+      'noLoop without writeThrough would serve own overwritten values'
+    );
+  });
+});